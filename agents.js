@@ -0,0 +1,549 @@
+import { supabase } from './supabaseClient.js'
+import { listAnswerKeys } from './answers.js'
+import { DEFAULT_LANGUAGE, languageName } from './languages.js'
+
+// ---------------------------------------------------------------------------
+// Agent registry (cl_phone_agents)
+//
+// Each row describes one agent:
+//   slug             'router', 'items', 'locations', 'donations', ...
+//   system_prompt    instructions sent in session.update (unless the call
+//                    was assigned a prompt version, see promptVersions.js)
+//   localized_prompts  jsonb { yi: '...', he: '...', es: '...' } variants of
+//                    system_prompt for callers in other languages
+//   tools            jsonb array of tool definitions (see below)
+//   handoff_targets  slugs this agent may hand the caller to
+//   intents          extra intent names that resolve to this agent
+//                    (e.g. the router endpoint says 'pickup' for 'locations')
+//   dtmf_key         keypad digit that jumps straight to this agent
+//   session_config   jsonb Realtime settings applied whenever this agent
+//                    takes over (see sessionSettings below):
+//                      model                 only when the session opens,
+//                                            i.e. for the entry agent (the
+//                                            deployment on Azure)
+//                      voice                 until the first audio is played
+//                      temperature           0.6 - 1.2
+//                      max_output_tokens     1 - 4096
+//                      vad_type              'server_vad' | 'semantic_vad' | 'none'
+//                      vad_threshold, silence_duration_ms, prefix_padding_ms
+//                                            (server_vad; 0 - 1, ms)
+//                      vad_eagerness         'low' | 'medium' | 'high' | 'auto'
+//                                            (semantic_vad)
+//                    out-of-range numbers are clamped, unknown values ignored
+//                      input_transcription   false turns caller transcripts off
+//   is_active        rows with is_active = false are ignored
+//
+// Tool definitions:
+//   { name, description, parameters, endpoint | endpoint_env }
+//       HTTP tool – args are POSTed to the endpoint together with call_sid
+//       and current_agent, both under the redaction.js policy. If the
+//       response carries an `intent` this agent may hand off to, the caller
+//       is handed off. Optional timeout_ms, retries and filler override the
+//       defaults in toolRunner.js / server.js; fallback ('items' |
+//       'locations') answers from the local snapshot (see localData.js).
+//   { name, description, parameters, kind: 'handoff', target }
+//       Handoff tool – switches the session to `target`; args.question is
+//       replayed to the new agent.
+//   { name, description, parameters, kind: 'transfer' }
+//       Transfers the live call to staff or voicemail (see transfer.js).
+//   { name, description, parameters, kind: 'answer' }
+//       Renders a canned answer from answer_templates (see answers.js).
+//   { name, description, parameters, kind: 'digits' }
+//       Collects keypad digits; the digits are the tool output (see dtmf.js).
+//   { name, description, parameters, kind: 'sms', source }
+//       Texts the caller the last output of the `source` tool (see sms.js).
+//   { name, description, parameters, kind: 'callback' }
+//       Queues a staff callback with the transcript (see callbacks.js).
+//
+// GLOBAL_TOOLS are added to every agent unless the row defines a tool with
+// the same name.
+//
+// Rows without tools fall back to the built-in definitions below, so the
+// three original agents keep working on a database that predates the
+// tools / handoff_targets columns.
+// ---------------------------------------------------------------------------
+
+const HANDOFF_QUESTION_PARAM = {
+  type: 'object',
+  properties: {
+    question: {
+      type: 'string',
+      description:
+        'The caller’s latest question, cleaned up but without changing the meaning.',
+    },
+  },
+  required: ['question'],
+}
+
+function smsSummaryTool(source, what) {
+  return {
+    name: 'send_sms_summary',
+    description: `Text the caller ${what}. Only use when the caller asks for a text message.`,
+    parameters: { type: 'object', properties: {} },
+    kind: 'sms',
+    source,
+  }
+}
+
+const DEFAULT_AGENTS = {
+  router: {
+    intents: [],
+    handoffTargets: ['items', 'locations'],
+    tools: [
+      {
+        name: 'determine_route',
+        description:
+          'Classify caller intent for Chasdei Lev phone calls and decide which agent should handle it.',
+        parameters: {
+          type: 'object',
+          properties: {
+            message: { type: 'string' },
+            ai_classification: { type: 'string' },
+          },
+          required: ['message', 'ai_classification'],
+        },
+        endpoint_env: 'ROUTER_ENDPOINT',
+      },
+    ],
+  },
+  items: {
+    intents: [],
+    dtmfKey: '1',
+    handoffTargets: ['router'],
+    tools: [
+      {
+        name: 'search_items',
+        description:
+          'Search the Chasdei Lev items database and answer kashrus and package questions based ONLY on the provided data.',
+        parameters: {
+          type: 'object',
+          properties: {
+            query: { type: 'string' },
+          },
+          required: ['query'],
+        },
+        endpoint_env: 'ITEM_SEARCH_ENDPOINT',
+        fallback: 'items',
+      },
+      smsSummaryTool('search_items', 'the item details you just found'),
+      {
+        name: 'handoff_to_router',
+        description:
+          'Return control to the router agent when the caller asks about something other than items.',
+        parameters: HANDOFF_QUESTION_PARAM,
+        kind: 'handoff',
+        target: 'router',
+      },
+    ],
+  },
+  locations: {
+    intents: ['pickup'],
+    dtmfKey: '2',
+    handoffTargets: ['router'],
+    tools: [
+      {
+        name: 'search_pickup_locations',
+        description:
+          'Search the Chasdei Lev distribution locations database and answer pickup time/location questions based ONLY on the provided data.',
+        parameters: {
+          type: 'object',
+          properties: {
+            location_query: { type: 'string' },
+          },
+          required: ['location_query'],
+        },
+        endpoint_env: 'PICKUP_ENDPOINT',
+        fallback: 'locations',
+      },
+      smsSummaryTool('search_pickup_locations', 'the pickup address and time window you just found'),
+      {
+        name: 'handoff_to_router',
+        description:
+          'Return control to the router agent when the caller asks about something other than pickup.',
+        parameters: HANDOFF_QUESTION_PARAM,
+        kind: 'handoff',
+        target: 'router',
+      },
+    ],
+  },
+}
+
+const GLOBAL_TOOLS = [
+  {
+    name: 'transfer_to_human',
+    description:
+      'Transfer the caller to a person on the Chasdei Lev team (or voicemail when nobody is available). Use when the caller asks for a person or you cannot help them.',
+    parameters: {
+      type: 'object',
+      properties: {
+        reason: {
+          type: 'string',
+          description: 'Short reason for the transfer, in a few words.',
+        },
+        prefer_voicemail: {
+          type: 'boolean',
+          description: 'True if the caller asked to leave a message.',
+        },
+      },
+      required: ['reason'],
+    },
+    kind: 'transfer',
+  },
+  {
+    name: 'get_answer_template',
+    description:
+      'Get the approved wording for a standard Chasdei Lev policy answer. Read the returned text to the caller.',
+    parameters: {
+      type: 'object',
+      properties: {
+        key: { type: 'string', description: 'Template key.' },
+        params: {
+          type: 'object',
+          description: 'Values for the template placeholders, if any.',
+        },
+      },
+      required: ['key'],
+    },
+    kind: 'answer',
+  },
+  {
+    name: 'collect_digits',
+    description:
+      'Collect a number the caller types on the keypad (zip code, order number, phone number). First ask the caller to type it and press pound, then call this tool; its output is what they typed.',
+    parameters: {
+      type: 'object',
+      properties: {
+        purpose: {
+          type: 'string',
+          description: "What the digits are, e.g. 'zip_code', 'order_number' or 'phone_number'.",
+        },
+        max_digits: {
+          type: 'integer',
+          description: 'Stop after this many digits (e.g. 5 for a zip code).',
+        },
+      },
+      required: ['purpose'],
+    },
+    kind: 'digits',
+  },
+  {
+    name: 'request_callback',
+    description:
+      "Ask the Chasdei Lev team to call the caller back, e.g. when nobody is available. First get the caller's name, what it is about and when suits them. To call back on the number they are calling from, call with phone_source 'caller_id'; the first result asks you to confirm the number with the caller, then call again with number_confirmed true. For another number, have them type it with collect_digits (purpose 'phone_number') first and use phone_source 'keypad'.",
+    parameters: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: "The caller's name." },
+        topic: { type: 'string', description: 'What the callback is about, in a few words.' },
+        preferred_window: {
+          type: 'string',
+          description: "When the caller would like the call, e.g. 'weekday mornings'.",
+        },
+        phone_source: {
+          type: 'string',
+          enum: ['caller_id', 'keypad'],
+          description: "'caller_id' for the number they are calling from, 'keypad' for the number just typed.",
+        },
+        number_confirmed: {
+          type: 'boolean',
+          description: 'True once the caller confirmed the caller ID number.',
+        },
+      },
+      required: ['name', 'topic', 'phone_source'],
+    },
+    kind: 'callback',
+  },
+]
+
+export const ENTRY_AGENT = 'router'
+
+// The Realtime API rejects a whole session.update (instructions and tools
+// included) over one out-of-range setting, so values are clamped into range
+const SESSION_LIMITS = {
+  temperature: { min: 0.6, max: 1.2 },
+  max_output_tokens: { min: 1, max: 4096, integer: true },
+  vad_threshold: { min: 0, max: 1 },
+  silence_duration_ms: { min: 0, max: 10000, integer: true },
+  prefix_padding_ms: { min: 0, max: 10000, integer: true },
+}
+
+const VAD_EAGERNESS = ['low', 'medium', 'high', 'auto']
+
+// slug -> { slug, prompt, localizedPrompts, tools, handoffTargets, intents, dtmfKey, session }
+let AGENTS = buildRegistry([])
+
+function buildAgent(slug, row) {
+  const defaults = DEFAULT_AGENTS[slug] || {}
+  const rowTools = Array.isArray(row?.tools) && row.tools.length ? row.tools : null
+  const tools = rowTools || defaults.tools || []
+
+  return {
+    slug,
+    prompt: row?.system_prompt?.trim() ? row.system_prompt : '',
+    localizedPrompts:
+      row?.localized_prompts && typeof row.localized_prompts === 'object'
+        ? row.localized_prompts
+        : {},
+    tools: [
+      ...tools,
+      ...GLOBAL_TOOLS.filter((g) => !tools.some((t) => t.name === g.name)),
+    ],
+    handoffTargets: Array.isArray(row?.handoff_targets)
+      ? row.handoff_targets
+      : defaults.handoffTargets || [],
+    intents: Array.isArray(row?.intents) ? row.intents : defaults.intents || [],
+    dtmfKey:
+      row && 'dtmf_key' in row
+        ? (row.dtmf_key && String(row.dtmf_key)) || null
+        : defaults.dtmfKey || null,
+    session: parseSessionConfig(row?.session_config, slug),
+  }
+}
+
+function optionalNumber(value) {
+  return value == null || value === '' || !Number.isFinite(Number(value)) ? null : Number(value)
+}
+
+function boundedNumber(config, key, slug) {
+  const value = optionalNumber(config[key])
+  if (value == null) return null
+
+  const { min, max, integer } = SESSION_LIMITS[key]
+  const bounded = Math.min(max, Math.max(min, integer ? Math.round(value) : value))
+  if (bounded !== value) {
+    console.warn(`[Agents] ${slug}: session_config.${key} ${value} out of range, using ${bounded}`)
+  }
+  return bounded
+}
+
+function parseSessionConfig(config, slug) {
+  const c = config && typeof config === 'object' ? config : {}
+
+  let vadEagerness = null
+  if (VAD_EAGERNESS.includes(c.vad_eagerness)) vadEagerness = c.vad_eagerness
+  else if (c.vad_eagerness != null) {
+    console.warn(`[Agents] ${slug}: ignoring session_config.vad_eagerness ${c.vad_eagerness}`)
+  }
+
+  return {
+    model: typeof c.model === 'string' && c.model ? c.model : null,
+    voice: typeof c.voice === 'string' && c.voice ? c.voice : null,
+    temperature: boundedNumber(c, 'temperature', slug),
+    maxOutputTokens: boundedNumber(c, 'max_output_tokens', slug),
+    vadType: ['server_vad', 'semantic_vad', 'none'].includes(c.vad_type)
+      ? c.vad_type
+      : 'server_vad',
+    vadThreshold: boundedNumber(c, 'vad_threshold', slug),
+    silenceDurationMs: boundedNumber(c, 'silence_duration_ms', slug),
+    prefixPaddingMs: boundedNumber(c, 'prefix_padding_ms', slug),
+    vadEagerness,
+    inputTranscription: c.input_transcription !== false,
+  }
+}
+
+function buildRegistry(rows) {
+  const registry = new Map()
+
+  for (const slug of Object.keys(DEFAULT_AGENTS)) {
+    registry.set(slug, buildAgent(slug, null))
+  }
+
+  for (const row of rows) {
+    if (!row?.slug || row.is_active === false) continue
+    registry.set(row.slug, buildAgent(row.slug, row))
+  }
+
+  return registry
+}
+
+// What an agent "is" for change reports
+function agentFingerprint(agent) {
+  const { prompt, localizedPrompts, tools, handoffTargets, intents, dtmfKey, session } = agent
+  return JSON.stringify({
+    prompt,
+    localizedPrompts,
+    tools,
+    handoffTargets,
+    intents,
+    dtmfKey,
+    session,
+  })
+}
+
+// Returns { added, removed, changed, rejected } slugs, or { error }.
+// An edit that blanks a prompt that was loaded before is rejected: the
+// agent keeps its previous prompt instead of the generic fallback.
+export async function reloadAgentsFromDB() {
+  try {
+    // select('*') so older tables without tools / handoff_targets still load
+    const { data, error } = await supabase.from('cl_phone_agents').select('*')
+
+    if (error) {
+      console.error('[Agents] Error loading from DB:', error)
+      return { error: error.message || String(error) }
+    }
+
+    const previous = AGENTS
+    const next = buildRegistry(data || [])
+    const changes = { added: [], removed: [], changed: [], rejected: [] }
+
+    for (const [slug, agent] of next) {
+      const old = previous.get(slug)
+      if (!agent.prompt && old?.prompt) {
+        console.warn(`[Agents] Rejected blank prompt for ${slug}; keeping the previous one`)
+        agent.prompt = old.prompt
+        changes.rejected.push(slug)
+      }
+      if (!old) changes.added.push(slug)
+      else if (agentFingerprint(old) !== agentFingerprint(agent)) changes.changed.push(slug)
+    }
+    for (const slug of previous.keys()) {
+      if (!next.has(slug)) changes.removed.push(slug)
+    }
+
+    AGENTS = next
+
+    console.log(
+      '[Agents] Reloaded:',
+      [...AGENTS.values()]
+        .map((a) => `${a.slug}=${a.prompt ? 'OK' : 'MISSING'}`)
+        .join(' ')
+    )
+
+    for (const agent of AGENTS.values()) {
+      for (const tool of agent.tools) {
+        if (!tool.kind && !resolveToolEndpoint(tool)) {
+          console.warn(
+            `[Agents] ${agent.slug}.${tool.name} has no endpoint configured – tool will fail.`
+          )
+        }
+      }
+    }
+
+    return changes
+  } catch (e) {
+    console.error('[Agents] Unexpected error reloading:', e)
+    return { error: e?.message || String(e) }
+  }
+}
+
+// Lookups over one registry (and the answer keys loaded with it). Calls keep
+// the snapshot they started with, so a reload mid-call doesn't change
+// prompts, tools or the keypad menu under them.
+function registryView(registry, answerKeys) {
+  function getAgent(slug) {
+    return registry.get(slug) || null
+  }
+
+  function canHandoff(fromSlug, toSlug) {
+    const from = getAgent(fromSlug)
+    return Boolean(from && getAgent(toSlug) && from.handoffTargets.includes(toSlug))
+  }
+
+  return {
+    getAgent,
+    canHandoff,
+
+    listAgents() {
+      return [...registry.values()]
+    },
+
+    // Maps an intent ('items', 'pickup', 'router', ...) to an agent slug.
+    resolveAgentSlug(intent) {
+      if (!intent) return null
+      if (registry.has(intent)) return intent
+      for (const agent of registry.values()) {
+        if (agent.intents.includes(intent)) return agent.slug
+      }
+      return null
+    },
+
+    // Tool list in the shape session.update expects. Handoff tools pointing
+    // at agents this agent may not reach are dropped.
+    sessionTools(agent) {
+      return agent.tools
+        .filter((t) => t.kind !== 'handoff' || canHandoff(agent.slug, t.target))
+        .map((t) => ({
+          type: 'function',
+          name: t.name,
+          description: t.description || '',
+          parameters:
+            t.kind === 'answer'
+              ? withAnswerKeys(t.parameters, answerKeys)
+              : t.parameters || { type: 'object', properties: {} },
+        }))
+    },
+  }
+}
+
+// The registry as loaded right now (see registryView)
+export function snapshotAgents() {
+  return registryView(AGENTS, listAnswerKeys())
+}
+
+// Slugs of agents with no system prompt (readiness fails while any exist)
+export function missingPrompts() {
+  return [...AGENTS.values()].filter((a) => !a.prompt).map((a) => a.slug)
+}
+
+// `version` (see promptVersions.js) replaces the agent's own prompts
+export function agentInstructions(agent, language = DEFAULT_LANGUAGE, version = null) {
+  const prompts = version || agent
+  const base =
+    prompts.localizedPrompts[language] ||
+    prompts.prompt ||
+    `You are the Chasdei Lev ${agent.slug} agent.`
+
+  if (language === DEFAULT_LANGUAGE) return base
+  return `${base}\n\nThe caller speaks ${languageName(language)}. Always answer in ${languageName(language)}.`
+}
+
+// The agent's Realtime settings as provider-neutral session fields (shaped
+// for the wire by realtimeProvider.js). Every field is always present (API
+// defaults when the row doesn't say), so switching agents never leaves the
+// previous agent's settings behind. Voice and model are left to the caller:
+// they can't always change mid-session.
+export function sessionSettings(agent) {
+  const c = agent.session
+
+  let turnDetection = null
+  if (c.vadType === 'server_vad') {
+    turnDetection = { type: 'server_vad' }
+    if (c.vadThreshold != null) turnDetection.threshold = c.vadThreshold
+    if (c.silenceDurationMs != null) turnDetection.silence_duration_ms = c.silenceDurationMs
+    if (c.prefixPaddingMs != null) turnDetection.prefix_padding_ms = c.prefixPaddingMs
+  } else if (c.vadType === 'semantic_vad') {
+    turnDetection = { type: 'semantic_vad' }
+    if (c.vadEagerness) turnDetection.eagerness = c.vadEagerness
+  }
+
+  return {
+    turnDetection,
+    inputTranscription: c.inputTranscription ? { model: 'whisper-1' } : null,
+    temperature: c.temperature ?? 0.8,
+    maxOutputTokens: c.maxOutputTokens ?? 'inf',
+  }
+}
+
+export function findTool(agent, toolName) {
+  return agent?.tools.find((t) => t.name === toolName) || null
+}
+
+// Constrain `key` to the templates loaded with the snapshot
+function withAnswerKeys(parameters, keys) {
+  if (!keys.length) return parameters
+
+  return {
+    ...parameters,
+    properties: {
+      ...parameters.properties,
+      key: { ...parameters.properties.key, enum: keys },
+    },
+  }
+}
+
+export function resolveToolEndpoint(tool) {
+  if (tool.endpoint) return tool.endpoint
+  if (tool.endpoint_env) return process.env[tool.endpoint_env] || null
+  return null
+}
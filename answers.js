@@ -1,25 +1,270 @@
 import { supabase } from './supabaseClient.js'
+import { DEFAULT_LANGUAGE } from './languages.js'
+import { redactValue } from './redaction.js'
 
-export async function speakAnswer(key, params = {}) {
-  const { data, error } = await supabase
-    .from('answer_templates')
-    .select('spoken_template')
-    .eq('key', key)
-    .eq('is_active', true)
-    .single()
-
-  if (error || !data) {
-    console.error('[Answers] Missing template for key:', key, error)
-    return "I don't have an answer configured for that yet."
+// ---------------------------------------------------------------------------
+// Canned answers (answer_templates), cached in memory.
+//
+// Template syntax:
+//   {{var}}                          plain value
+//   {{var | list}}                   ['a','b','c'] -> "a, b and c"
+//   {{var | list_or}}                ['a','b','c'] -> "a, b or c"
+//   {{var | date}}                   "Sunday, April 6th"
+//   {{var | time}}                   "3 PM" / "3:30 PM"
+//   {{var | datetime}}               "Sunday, April 6th at 3 PM"
+//   {{#if var}}...{{else}}...{{/if}} conditional (nesting allowed)
+//
+// Dates and times are spoken in ORG_TIMEZONE (default America/New_York).
+// '2026-04-05' and '2026-04-05T15:00' are taken as already in that timezone;
+// timestamps with an offset ('...Z', '...-04:00') are converted to it.
+//
+// Rows may carry a `language` ('yi', 'he', 'es'); a caller's language picks
+// the matching row and falls back to the row without one (or 'en').
+// ---------------------------------------------------------------------------
+
+const FALLBACK_TEXT = "I don't have an answer configured for that yet."
+
+// key -> Map(language -> spoken_template); '' is the language-neutral row
+let TEMPLATES = new Map()
+
+// Returns { added, removed, changed, rejected } keys, or { error }. A row
+// whose template was blanked keeps the previously loaded text.
+export async function reloadAnswerTemplates() {
+  try {
+    // select('*') so tables without a language column still load
+    const { data, error } = await supabase
+      .from('answer_templates')
+      .select('*')
+      .eq('is_active', true)
+
+    if (error) {
+      console.error('[Answers] Error loading templates:', error)
+      return { error: error.message || String(error) }
+    }
+
+    const previous = TEMPLATES
+    const templates = new Map()
+    const rejected = new Set()
+
+    for (const row of data || []) {
+      if (!row.key) continue
+      const language = row.language || ''
+      let template = row.spoken_template?.trim() ? row.spoken_template : null
+
+      if (!template) {
+        template = previous.get(row.key)?.get(language) || null
+        if (!template) continue
+        console.warn('[Answers] Rejected blank template for', row.key, language || '')
+        rejected.add(row.key)
+      }
+
+      if (!templates.has(row.key)) templates.set(row.key, new Map())
+      templates.get(row.key).set(language, template)
+    }
+
+    const fingerprint = (variants) => JSON.stringify([...variants].sort())
+    const changes = { added: [], removed: [], changed: [], rejected: [...rejected] }
+    for (const [key, variants] of templates) {
+      if (!previous.has(key)) changes.added.push(key)
+      else if (fingerprint(previous.get(key)) !== fingerprint(variants)) changes.changed.push(key)
+    }
+    for (const key of previous.keys()) {
+      if (!templates.has(key)) changes.removed.push(key)
+    }
+
+    TEMPLATES = templates
+    console.log('[Answers] Reloaded', TEMPLATES.size, 'templates')
+    return changes
+  } catch (e) {
+    console.error('[Answers] Unexpected error reloading:', e)
+    return { error: e?.message || String(e) }
+  }
+}
+
+export function listAnswerKeys() {
+  return [...TEMPLATES.keys()]
+}
+
+export function hasAnswerTemplate(key) {
+  return TEMPLATES.has(key)
+}
+
+function templateFor(key, language) {
+  const variants = TEMPLATES.get(key)
+  if (!variants) return null
+  return (
+    variants.get(language || DEFAULT_LANGUAGE) ||
+    variants.get('') ||
+    variants.get(DEFAULT_LANGUAGE) ||
+    null
+  )
+}
+
+export async function speakAnswer(key, params = {}, context = {}) {
+  const template = templateFor(key, context.language)
+
+  if (!template) {
+    console.error('[Answers] Missing template for key:', key)
+    await logMissingTemplate(key, params, context)
+    return FALLBACK_TEXT
   }
 
-  let text = data.spoken_template
+  return renderTemplate(template, params)
+}
 
-  // very simple {{var}} interpolation
-  for (const [k, v] of Object.entries(params)) {
-    const safeVal = v == null ? '' : String(v)
-    text = text.replaceAll(`{{${k}}}`, safeVal)
+async function logMissingTemplate(
+  key,
+  params,
+  { callSid = null, agent = null, language = null }
+) {
+  try {
+    const { error } = await supabase.from('answer_template_misses').insert({
+      key,
+      params: redactValue(params, 'tool_args'),
+      call_sid: callSid,
+      agent,
+      language,
+      created_at: new Date().toISOString(),
+    })
+    if (error) console.error('[Answers] Failed to log missing template:', error)
+  } catch (e) {
+    console.error('[Answers] Unexpected error logging missing template:', e)
   }
+}
+
+// ---------------------------------------------------------------------------
+// Rendering
+// ---------------------------------------------------------------------------
+
+const IF_BLOCK =
+  /\{\{#if\s+([\w.]+)\s*\}\}((?:(?!\{\{#if\s)[\s\S])*?)\{\{\/if\}\}/
+
+export function renderTemplate(template, params = {}) {
+  let text = template
+
+  // Resolve innermost conditionals first so nested blocks work
+  let m
+  while ((m = text.match(IF_BLOCK))) {
+    const [whole, name, body] = m
+    const [whenTrue, whenFalse = ''] = body.split('{{else}}')
+    text = text.replace(whole, isTruthy(lookup(params, name)) ? whenTrue : whenFalse)
+  }
+
+  text = text.replace(/\{\{\s*([\w.]+)\s*(?:\|\s*(\w+)\s*)?\}\}/g, (_, name, filter) =>
+    applyFilter(lookup(params, name), filter)
+  )
+
+  // Dropped conditionals can leave doubled spaces behind
+  return text.replace(/[ \t]{2,}/g, ' ').trim()
+}
+
+function lookup(params, path) {
+  return path.split('.').reduce((obj, k) => (obj == null ? undefined : obj[k]), params)
+}
+
+function isTruthy(v) {
+  if (Array.isArray(v)) return v.length > 0
+  return Boolean(v)
+}
+
+function applyFilter(value, filter) {
+  if (value == null) return ''
+
+  switch (filter) {
+    case 'list':
+      return joinList(value, 'and')
+    case 'list_or':
+      return joinList(value, 'or')
+    case 'date':
+      return formatSpokenDate(value)
+    case 'time':
+      return formatSpokenTime(value)
+    case 'datetime':
+      return formatSpokenDateTime(value)
+    default:
+      return Array.isArray(value) ? joinList(value, 'and') : String(value)
+  }
+}
+
+export function joinList(value, conjunction = 'and') {
+  const items = (Array.isArray(value) ? value : [value])
+    .filter((v) => v != null && v !== '')
+    .map(String)
+
+  if (items.length <= 1) return items[0] || ''
+  if (items.length === 2) return `${items[0]} ${conjunction} ${items[1]}`
+  return `${items.slice(0, -1).join(', ')} ${conjunction} ${items[items.length - 1]}`
+}
+
+// ---------------------------------------------------------------------------
+// Spoken dates / times
+// ---------------------------------------------------------------------------
+
+export function orgTimeZone() {
+  return process.env.ORG_TIMEZONE || 'America/New_York'
+}
+
+function ordinal(n) {
+  const rem100 = n % 100
+  if (rem100 >= 11 && rem100 <= 13) return `${n}th`
+  return `${n}${{ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th'}`
+}
+
+// YYYY-MM-DD, optionally followed by a time with no offset
+const WALL_CLOCK_RE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/
+
+// A date, or a timestamp without an offset, is already org-local wall-clock
+// time: it is read as UTC and formatted as UTC so nothing shifts. Anything
+// with an offset (or a Date) is converted to ORG_TIMEZONE.
+function zonedDate(value) {
+  const wallClock = typeof value === 'string' && value.trim().match(WALL_CLOCK_RE)
+  if (wallClock) {
+    const [y, mo, d, h, mi, s] = wallClock.slice(1).map((n) => Number(n || 0))
+    return { date: new Date(Date.UTC(y, mo - 1, d, h, mi, s)), timeZone: 'UTC' }
+  }
+  return { date: value instanceof Date ? value : new Date(value), timeZone: orgTimeZone() }
+}
+
+function dateParts(value) {
+  const { date, timeZone } = zonedDate(value)
+  if (Number.isNaN(date.getTime())) return null
+
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    hourCycle: 'h12',
+  }).formatToParts(date)
+
+  const get = (type) => parts.find((p) => p.type === type)?.value
+  return {
+    weekday: get('weekday'),
+    month: get('month'),
+    day: Number(get('day')),
+    hour: Number(get('hour')),
+    minute: get('minute'),
+    dayPeriod: get('dayPeriod'),
+  }
+}
+
+export function formatSpokenDate(value) {
+  const p = dateParts(value)
+  if (!p) return String(value)
+  return `${p.weekday}, ${p.month} ${ordinal(p.day)}`
+}
+
+export function formatSpokenTime(value) {
+  const p = dateParts(value)
+  if (!p) return String(value)
+  const minutes = p.minute === '00' ? '' : `:${p.minute}`
+  return `${p.hour}${minutes} ${p.dayPeriod}`
+}
 
-  return text
+export function formatSpokenDateTime(value) {
+  const p = dateParts(value)
+  if (!p) return String(value)
+  return `${formatSpokenDate(value)} at ${formatSpokenTime(value)}`
 }
@@ -0,0 +1,285 @@
+import { supabase } from './supabaseClient.js'
+import { orgTimeZone } from './answers.js'
+
+// ---------------------------------------------------------------------------
+// Post-call analysis (cl_phone_call_analytics)
+//
+// One row per call, written after the call ends from the turns recorded by
+// callLog.js:
+//   call_sid
+//   call_date        YYYY-MM-DD in ORG_TIMEZONE
+//   agents           text[] every agent that handled the call, entry first
+//   final_agent
+//   outcome          'transferred'  handed to staff or voicemail
+//                    'unanswered'   a lookup found nothing and no later
+//                                   lookup with the same tool did
+//                    'abandoned'    the caller never spoke, or hung up
+//                                   within CALL_ABANDON_SECONDS without
+//                                   hearing an answer to what they said
+//                    'resolved'     everything else
+//   topics           text[] agents visited, answer template keys,
+//                    'callback' / 'sms' / 'transfer'
+//   items, locations text[] what was searched with search_items /
+//                    search_pickup_locations
+//   misses           jsonb [{ agent, tool, query, reason }] lookups the data
+//                    didn't cover (reason 'no_results' | 'tool_error'), and
+//                    any tool that answered { found: false }
+//   caller_turns, duration_seconds, prompt_versions
+//
+//   CALL_ANALYSIS_ENABLED   'false' turns it off
+//   CALL_ABANDON_SECONDS    default 30
+//
+// GET /analytics/report aggregates the rows by day and agent, and by agent
+// and prompt version.
+// ---------------------------------------------------------------------------
+
+// Lookup tools whose queries are extracted and whose empty answers count as
+// misses
+const LOOKUP_TOOLS = {
+  search_items: { arg: 'query', field: 'items' },
+  search_pickup_locations: { arg: 'location_query', field: 'locations' },
+}
+
+const OUTCOMES = ['resolved', 'transferred', 'abandoned', 'unanswered']
+
+// callLog end reasons that mean the caller hung up, rather than a transfer or
+// the gateway shutting down
+const CALLER_HANGUPS = ['twilio_stop', 'socket_closed']
+
+function abandonSeconds() {
+  const seconds = Number(process.env.CALL_ABANDON_SECONDS)
+  return Number.isFinite(seconds) && seconds >= 0 ? seconds : 30
+}
+
+export function callAnalysisEnabled() {
+  return process.env.CALL_ANALYSIS_ENABLED !== 'false'
+}
+
+// 'en-CA' formats dates as YYYY-MM-DD
+function orgDate(date) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: orgTimeZone(),
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(date)
+}
+
+function firstArray(output) {
+  if (Array.isArray(output)) return output
+  for (const key of ['locations', 'items', 'results', 'matches', 'data']) {
+    if (Array.isArray(output?.[key])) return output[key]
+  }
+  return null
+}
+
+// Why a lookup came back without anything to say, or null if it answered
+function lookupMiss(output) {
+  if (!output || output.ok === false || output.error) return 'tool_error'
+  if (output.found === false) return 'no_results'
+
+  const list = firstArray(output)
+  const hasText = ['summary', 'answer'].some((k) => output[k] != null && output[k] !== '')
+  if (list && !list.length && !hasText) return 'no_results'
+  return null
+}
+
+// What a non-lookup tool was asked for, e.g. the get_answer_template key
+function firstString(args) {
+  const value = Object.values(args).find((v) => typeof v === 'string' && v.trim())
+  return value ? value.trim() : null
+}
+
+const unique = (values) => [...new Set(values.filter(Boolean))]
+
+// Builds the cl_phone_call_analytics row from callLog turns
+export function analyzeCall({
+  callSid,
+  turns,
+  entryAgent,
+  transferred = false,
+  endReason = null,
+  startedAt = null,
+  endedAt = Date.now(),
+  promptVersions = {},
+}) {
+  const agents = [entryAgent]
+  const topics = []
+  const found = { items: [], locations: [] }
+  const misses = []
+  // tool -> index into misses of its last unresolved miss
+  const openMisses = new Map()
+
+  for (const turn of turns) {
+    if (turn.role === 'handoff' && turn.agent) {
+      agents.push(turn.agent)
+      topics.push(turn.agent)
+    }
+    if (turn.role !== 'tool') continue
+
+    const args = turn.tool_args || {}
+    const output = turn.tool_output
+
+    if (turn.tool_name === 'get_answer_template' && args.key && output?.found) topics.push(args.key)
+    if (turn.tool_name === 'request_callback' && output?.ok) topics.push('callback')
+    if (turn.tool_name === 'send_sms_summary' && output?.ok) topics.push('sms')
+    if (turn.tool_name === 'transfer_to_human' && output?.ok) topics.push('transfer')
+
+    const lookup = LOOKUP_TOOLS[turn.tool_name]
+    let query
+    let reason
+    if (lookup) {
+      query = typeof args[lookup.arg] === 'string' ? args[lookup.arg].trim() : null
+      if (query) found[lookup.field].push(query)
+      reason = lookupMiss(output)
+    } else {
+      query = firstString(args)
+      reason = output?.found === false ? 'no_results' : null
+    }
+
+    if (reason) {
+      openMisses.set(turn.tool_name, misses.length)
+      misses.push({ agent: turn.agent, tool: turn.tool_name, query, reason, answered: false })
+    } else if (openMisses.has(turn.tool_name)) {
+      misses[openMisses.get(turn.tool_name)].answered = true
+      openMisses.delete(turn.tool_name)
+    }
+  }
+
+  const callerTurns = turns.filter((t) => t.role === 'caller').length
+  const firstCaller = turns.findIndex((t) => t.role === 'caller')
+  const heardAnswer = turns.slice(firstCaller + 1).some((t) => t.role === 'assistant')
+  const durationSeconds = startedAt ? Math.round((endedAt - startedAt) / 1000) : null
+  const hungUpEarly =
+    CALLER_HANGUPS.includes(endReason) &&
+    durationSeconds != null &&
+    durationSeconds < abandonSeconds()
+
+  let outcome = 'resolved'
+  if (transferred) outcome = 'transferred'
+  else if (misses.some((m) => !m.answered)) outcome = 'unanswered'
+  else if (!callerTurns || (hungUpEarly && !heardAnswer)) outcome = 'abandoned'
+
+  return {
+    call_sid: callSid,
+    call_date: orgDate(new Date(startedAt || endedAt)),
+    agents: unique(agents),
+    final_agent: agents.at(-1),
+    outcome,
+    topics: unique(topics),
+    items: unique(found.items),
+    locations: unique(found.locations),
+    misses: misses.map(({ answered, ...m }) => m),
+    caller_turns: callerTurns,
+    duration_seconds: durationSeconds,
+    prompt_versions: promptVersions,
+    created_at: new Date().toISOString(),
+  }
+}
+
+// Runs after the call log is flushed; never throws
+export async function recordCallAnalysis(facts) {
+  if (!callAnalysisEnabled() || !facts.callSid) return
+
+  try {
+    const row = analyzeCall(facts)
+    const { error } = await supabase
+      .from('cl_phone_call_analytics')
+      .upsert(row, { onConflict: 'call_sid' })
+    if (error) {
+      console.error('[Analysis] Failed to save', facts.callSid, error)
+      return
+    }
+    console.log('[Analysis]', facts.callSid, row.outcome, row.misses.length, 'misses')
+  } catch (e) {
+    console.error('[Analysis] Unexpected error for', facts.callSid, e)
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Report (GET /analytics/report?from=YYYY-MM-DD&to=YYYY-MM-DD)
+//
+// A call counts once for every agent that handled it; a miss counts for the
+// agent that ran the lookup. `prompt_versions` has the same counts per agent
+// and prompt version across the whole range, so a prompt change can be
+// compared with the one before it. `top_misses` lists the queries the data
+// failed most often.
+// ---------------------------------------------------------------------------
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/
+
+// Returns { data } or { error, code: 'bad_request' | 'failed' }
+export async function analyticsReport({ from = null, to = null } = {}) {
+  const today = orgDate(new Date())
+  const end = to || today
+  const start = from || orgDate(new Date(Date.now() - 6 * 24 * 60 * 60 * 1000))
+  if (!DATE_RE.test(start) || !DATE_RE.test(end) || start > end) {
+    return { error: 'from / to must be YYYY-MM-DD with from <= to', code: 'bad_request' }
+  }
+
+  const { data, error } = await supabase
+    .from('cl_phone_call_analytics')
+    .select('call_date, agents, outcome, misses, prompt_versions')
+    .gte('call_date', start)
+    .lte('call_date', end)
+  if (error) return { error: error.message || String(error), code: 'failed' }
+
+  // `${date}|${agent}` -> row of the report
+  const groups = new Map()
+  // `${agent}|${version}` -> row of prompt_versions
+  const versions = new Map()
+  const misses = new Map()
+
+  const counts = (fields) => ({
+    ...fields,
+    calls: 0,
+    outcomes: Object.fromEntries(OUTCOMES.map((o) => [o, 0])),
+    misses: 0,
+  })
+
+  for (const call of data || []) {
+    const versionKey = (agent) => `${agent}|${call.prompt_versions?.[agent] ?? null}`
+
+    for (const agent of call.agents || []) {
+      const key = `${call.call_date}|${agent}`
+      if (!groups.has(key)) groups.set(key, counts({ date: call.call_date, agent }))
+      if (!versions.has(versionKey(agent))) {
+        versions.set(
+          versionKey(agent),
+          counts({ agent, version: call.prompt_versions?.[agent] ?? null })
+        )
+      }
+
+      for (const group of [groups.get(key), versions.get(versionKey(agent))]) {
+        group.calls++
+        if (call.outcome in group.outcomes) group.outcomes[call.outcome]++
+      }
+    }
+
+    for (const miss of call.misses || []) {
+      const group = groups.get(`${call.call_date}|${miss.agent}`)
+      if (group) group.misses++
+      const version = versions.get(versionKey(miss.agent))
+      if (version) version.misses++
+
+      const key = `${miss.tool}|${(miss.query || '').toLowerCase()}`
+      const entry = misses.get(key) || { tool: miss.tool, query: miss.query, count: 0 }
+      entry.count++
+      misses.set(key, entry)
+    }
+  }
+
+  return {
+    data: {
+      from: start,
+      to: end,
+      rows: [...groups.values()].sort(
+        (a, b) => a.date.localeCompare(b.date) || a.agent.localeCompare(b.agent)
+      ),
+      prompt_versions: [...versions.values()].sort(
+        (a, b) => a.agent.localeCompare(b.agent) || (a.version ?? 0) - (b.version ?? 0)
+      ),
+      top_misses: [...misses.values()].sort((a, b) => b.count - a.count).slice(0, 50),
+    },
+  }
+}
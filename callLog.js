@@ -0,0 +1,163 @@
+import { supabase } from './supabaseClient.js'
+import { redactText, redactValue, keepRawCopy } from './redaction.js'
+
+// Per-call transcript persistence.
+//
+//   cl_phone_calls       one row per call, keyed by call_sid
+//   cl_phone_call_turns  ordered rows (seq) for caller / assistant speech,
+//                        agent handoffs and tool calls, with PII masked
+//                        (see redaction.js)
+//   cl_phone_call_turns_raw
+//                        the same turns unredacted, only when
+//                        REDACTION_KEEP_RAW=true
+//
+// Writes are chained so rows land in the order they happened, and anything
+// recorded before Twilio's `start` event is held until we know the callSid.
+
+export function createCallLog() {
+  let callSid = null
+  let seq = 0
+  let ended = false
+  let endReason = null
+  let chain = Promise.resolve()
+  const pending = []
+  // every turn so far, redacted, in order (callback transcripts, post-call
+  // analysis)
+  const turns = []
+
+  function enqueue(label, fn) {
+    chain = chain
+      .then(fn)
+      .then((result) => {
+        if (result?.error) {
+          console.error(`[CallLog] ${label} failed for`, callSid, result.error)
+        }
+      })
+      .catch((e) => {
+        console.error(`[CallLog] ${label} unexpected error for`, callSid, e)
+      })
+    return chain
+  }
+
+  function writeTurn({ row, raw }) {
+    enqueue('insert turn', () =>
+      supabase.from('cl_phone_call_turns').insert({ call_sid: callSid, ...row })
+    )
+    if (raw) {
+      enqueue('insert raw turn', () =>
+        supabase.from('cl_phone_call_turns_raw').insert({ call_sid: callSid, ...raw })
+      )
+    }
+  }
+
+  function start({ callSid: sid, streamSid = null }) {
+    if (!sid || callSid) return
+    callSid = sid
+
+    enqueue('insert call', () =>
+      supabase.from('cl_phone_calls').upsert(
+        {
+          call_sid: callSid,
+          stream_sid: streamSid,
+          started_at: new Date().toISOString(),
+        },
+        { onConflict: 'call_sid' }
+      )
+    )
+
+    for (const turn of pending.splice(0)) writeTurn(turn)
+  }
+
+  // role: 'caller' | 'assistant' | 'handoff' | 'tool' | 'dtmf' | 'whisper'
+  function addTurn({
+    role,
+    agent = null,
+    text = null,
+    fromAgent = null,
+    toolName = null,
+    toolArgs = null,
+    toolOutput = null,
+    latencyMs = null,
+  }) {
+    if (ended) return
+
+    const row = {
+      seq: seq++,
+      role,
+      agent,
+      text: redactText(text, 'transcript', { skip: role === 'caller' ? [] : ['name'] }),
+      from_agent: fromAgent,
+      tool_name: toolName,
+      tool_args: redactValue(toolArgs, 'tool_args'),
+      tool_output: redactValue(toolOutput, 'tool_output'),
+      latency_ms: latencyMs,
+      created_at: new Date().toISOString(),
+    }
+    turns.push(row)
+
+    const raw = keepRawCopy()
+      ? { seq: row.seq, text, tool_args: toolArgs, tool_output: toolOutput, created_at: row.created_at }
+      : null
+
+    if (!callSid) {
+      pending.push({ row, raw })
+      return
+    }
+    writeTurn({ row, raw })
+  }
+
+  // Patch columns on the call row (transfer details, etc.)
+  function updateCall(fields) {
+    if (!callSid) {
+      console.warn('[CallLog] updateCall before start; ignoring', fields)
+      return
+    }
+    return enqueue('update call', () =>
+      supabase.from('cl_phone_calls').update(fields).eq('call_sid', callSid)
+    )
+  }
+
+  function end(reason = 'closed') {
+    if (ended) return chain
+    ended = true
+    endReason = reason
+
+    if (!callSid) {
+      if (pending.length) {
+        console.warn('[CallLog] Call ended before start; dropping', pending.length, 'turns')
+      }
+      return chain
+    }
+
+    return enqueue('close call', () =>
+      supabase
+        .from('cl_phone_calls')
+        .update({
+          ended_at: new Date().toISOString(),
+          end_reason: reason,
+          turn_count: seq,
+        })
+        .eq('call_sid', callSid)
+    )
+  }
+
+  return {
+    start,
+    addTurn,
+    updateCall,
+    end,
+    turns: () => turns.slice(),
+    // caller / assistant speech only
+    transcript: () =>
+      turns
+        .filter((t) => (t.role === 'caller' || t.role === 'assistant') && t.text)
+        .map(({ role, agent, text }) => ({ role, agent, text })),
+    get callSid() {
+      return callSid
+    },
+    // what end() was called with, null while the call is live
+    get endReason() {
+      return endReason
+    },
+  }
+}
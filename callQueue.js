@@ -0,0 +1,212 @@
+import { escapeXml } from './twilioClient.js'
+
+// ---------------------------------------------------------------------------
+// Concurrency limit + overflow queue
+//
+//   MAX_CONCURRENT_CALLS   Realtime sessions allowed at once (unset/0 = no
+//                          limit)
+//   QUEUE_MAX_WAIT_MS      longest a caller waits before being offered a
+//                          callback or voicemail (default 5 minutes)
+//   QUEUE_HOLD_MUSIC_URL   audio <Play>ed between position announcements
+//                          (silence when unset)
+//   QUEUE_POLL_SECONDS     length of one hold segment (default 20; set it to
+//                          the hold music's length)
+//
+// Admission happens in the voice webhook. A caller over the limit is put on
+// hold with TwiML that announces their position and redirects back to
+// /twilio/queue-wait after each hold segment. When a session ends, the
+// caller at the front gets a reserved slot and is moved onto the media
+// stream right away (Twilio call update), or on their next redirect.
+//
+// Once the gateway drains (SIGTERM) nobody is promoted any more: a stream
+// would be refused. Waiting callers get the callback / voicemail offer.
+// ---------------------------------------------------------------------------
+
+// A reserved slot not claimed by a `start` within this long is released
+const RESERVATION_TTL_MS = 30000
+
+export function maxConcurrentCalls() {
+  return Number(process.env.MAX_CONCURRENT_CALLS) || 0
+}
+
+function maxWaitMs() {
+  return Number(process.env.QUEUE_MAX_WAIT_MS) || 5 * 60 * 1000
+}
+
+function pollSeconds() {
+  return Number(process.env.QUEUE_POLL_SECONDS) || 20
+}
+
+// onPromote({ callSid, from, language }) moves a waiting caller onto the
+// stream; it returns false when that failed (e.g. the caller hung up).
+// Without it (no Twilio REST credentials) callers move on their next poll.
+export function createCallQueue({ onPromote = null } = {}) {
+  const active = new Set() // callSids with a started media stream
+  const reserved = new Map() // callSid -> { at, from, language }
+  const waiting = [] // { callSid, from, language, enqueuedAt, lastSeenAt }
+  let draining = false
+
+  function prune(now = Date.now()) {
+    for (const [callSid, { at }] of reserved) {
+      if (now - at > RESERVATION_TTL_MS) reserved.delete(callSid)
+    }
+    // A caller who hung up stops hitting /twilio/queue-wait
+    const staleAfter = pollSeconds() * 2000 + 10000
+    for (let i = waiting.length - 1; i >= 0; i--) {
+      if (now - waiting[i].lastSeenAt > staleAfter) waiting.splice(i, 1)
+    }
+  }
+
+  function hasFreeSlot() {
+    const max = maxConcurrentCalls()
+    return !max || active.size + reserved.size < max
+  }
+
+  function indexOf(callSid) {
+    return waiting.findIndex((w) => w.callSid === callSid)
+  }
+
+  function reserve({ callSid, from = null, language = null }) {
+    reserved.set(callSid, { at: Date.now(), from, language })
+  }
+
+  // Hands free slots to the front of the queue
+  async function promoteNext() {
+    if (!onPromote || draining) return
+    prune()
+    while (waiting.length && hasFreeSlot()) {
+      const next = waiting.shift()
+      reserve(next)
+      console.log('[Queue] Promoting', next.callSid, 'after', Date.now() - next.enqueuedAt, 'ms')
+      const ok = await onPromote(next)
+      if (!ok) reserved.delete(next.callSid)
+    }
+  }
+
+  return {
+    // Voice webhook: true = connect now (slot reserved), false = queue
+    admit({ callSid, from = null, language = null }) {
+      prune()
+      if (reserved.has(callSid) || active.has(callSid)) return true
+      if (waiting.length || !hasFreeSlot()) return false
+      reserve({ callSid, from, language })
+      return true
+    },
+
+    enqueue({ callSid, from = null, language = null }) {
+      if (indexOf(callSid) === -1) {
+        const now = Date.now()
+        waiting.push({ callSid, from, language, enqueuedAt: now, lastSeenAt: now })
+        console.log('[Queue] Waiting', callSid, 'position', waiting.length)
+      }
+      return indexOf(callSid) + 1
+    },
+
+    // /twilio/queue-wait: what to do with a caller back from a hold segment
+    //   { action: 'connect', from, language } | { action: 'offer' }
+    //   | { action: 'hold', position }
+    poll(callSid) {
+      if (draining) return { action: 'offer' }
+      prune()
+      if (reserved.has(callSid)) {
+        const { from, language } = reserved.get(callSid)
+        return { action: 'connect', from, language }
+      }
+
+      const idx = indexOf(callSid)
+      if (idx === -1) return { action: 'offer' }
+
+      const entry = waiting[idx]
+      entry.lastSeenAt = Date.now()
+
+      if (idx === 0 && hasFreeSlot()) {
+        waiting.shift()
+        reserve(entry)
+        return { action: 'connect', from: entry.from, language: entry.language }
+      }
+      if (Date.now() - entry.enqueuedAt > maxWaitMs()) {
+        waiting.splice(idx, 1)
+        console.log('[Queue] Max wait reached', callSid)
+        return { action: 'offer' }
+      }
+      return { action: 'hold', position: idx + 1 }
+    },
+
+    // SIGTERM: stops promotions and returns every caller still waiting for
+    // a stream (queued or promoted but not yet connected)
+    drain() {
+      draining = true
+      const callers = [
+        ...[...reserved].map(([callSid, { from, language }]) => ({ callSid, from, language })),
+        ...waiting.splice(0).map(({ callSid, from, language }) => ({ callSid, from, language })),
+      ]
+      reserved.clear()
+      return callers
+    },
+
+    streamStarted(callSid) {
+      reserved.delete(callSid)
+      active.add(callSid)
+    },
+
+    streamEnded(callSid) {
+      if (!active.delete(callSid)) return
+      promoteNext().catch((e) => console.error('[Queue] Promotion failed:', e))
+    },
+
+    state() {
+      prune()
+      const now = Date.now()
+      return {
+        max_concurrent_calls: maxConcurrentCalls() || null,
+        active: active.size,
+        reserved: reserved.size,
+        waiting: waiting.map((w, i) => ({
+          call_sid: w.callSid,
+          position: i + 1,
+          waited_ms: now - w.enqueuedAt,
+        })),
+      }
+    },
+
+    get waitingCount() {
+      return waiting.length
+    },
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Hold / offer TwiML
+// ---------------------------------------------------------------------------
+
+export function holdTwiml(position, waitUrl) {
+  const ahead = position - 1
+  const announcement =
+    ahead === 0
+      ? 'All of our lines are busy. You are next in line. Please stay on the line.'
+      : `All of our lines are busy. There ${ahead === 1 ? 'is 1 caller' : `are ${ahead} callers`} ahead of you. Please stay on the line.`
+
+  const music = process.env.QUEUE_HOLD_MUSIC_URL
+  const hold = music
+    ? `<Play>${escapeXml(music)}</Play>`
+    : `<Pause length="${pollSeconds()}" />`
+
+  return (
+    '<?xml version="1.0" encoding="UTF-8"?>' +
+    `<Response><Say>${escapeXml(announcement)}</Say>${hold}` +
+    `<Redirect method="POST">${escapeXml(waitUrl)}</Redirect></Response>`
+  )
+}
+
+// Offered when the wait is too long: 1 = call me back, 2 = voicemail
+export function offerTwiml(choiceUrl) {
+  const prompt =
+    "We're sorry for the long wait. Press 1 and we will call you back as soon as a line is free, or press 2 to leave a message."
+
+  return (
+    '<?xml version="1.0" encoding="UTF-8"?>' +
+    `<Response><Gather numDigits="1" action="${escapeXml(choiceUrl)}" method="POST" timeout="10">` +
+    `<Say>${escapeXml(prompt)}</Say></Gather>` +
+    `<Redirect method="POST">${escapeXml(choiceUrl)}</Redirect></Response>`
+  )
+}
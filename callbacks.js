@@ -0,0 +1,193 @@
+import { supabase } from './supabaseClient.js'
+
+// ---------------------------------------------------------------------------
+// Callback requests (cl_phone_callbacks)
+//
+// One row per "please call me back":
+//   call_sid, phone        the call it came from and the number to call
+//   source                 'queue_timeout' (hold queue) | 'agent'
+//                          (request_callback tool)
+//   name, topic, preferred_window
+//   transcript             jsonb [{ role, agent, text }] up to the request
+//   status                 'open' -> 'claimed' -> 'closed'
+//   request_count          bumped when the same number asks again
+//   claimed_by / claimed_at, closed_by / closed_at, outcome, notes
+//
+//   CALLBACK_STAFF_TOKEN       bearer token for the /callbacks staff routes
+//                              (the admin secret works too)
+//   CALLBACK_DUPLICATE_HOURS   an open or claimed request for the same number
+//                              this recent is updated instead of duplicated
+//                              (default 72)
+// ---------------------------------------------------------------------------
+
+const STATUSES = ['open', 'claimed', 'closed']
+
+// Columns for the list view; the transcript comes with GET /callbacks/:id
+const LIST_COLUMNS =
+  'id, call_sid, phone, name, topic, preferred_window, source, status, request_count, claimed_by, claimed_at, created_at, last_requested_at'
+
+function duplicateWindowMs() {
+  return (Number(process.env.CALLBACK_DUPLICATE_HOURS) || 72) * 60 * 60 * 1000
+}
+
+// E.164 for North American numbers typed without a country code; null when
+// it can't be a phone number
+export function normalizePhone(value) {
+  const raw = String(value || '').trim()
+  const digits = raw.replace(/\D/g, '')
+  if (raw.startsWith('+')) return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null
+  if (digits.length === 10) return `+1${digits}`
+  if (digits.length === 11 && digits.startsWith('1')) return `+${digits}`
+  return null
+}
+
+async function findOpenRequest(phone) {
+  const since = new Date(Date.now() - duplicateWindowMs()).toISOString()
+  const { data, error } = await supabase
+    .from('cl_phone_callbacks')
+    .select('id, request_count')
+    .eq('phone', phone)
+    .in('status', ['open', 'claimed'])
+    .gte('created_at', since)
+    .order('created_at', { ascending: false })
+    .limit(1)
+  if (error) throw new Error(error.message || String(error))
+  return data?.[0] || null
+}
+
+// Returns { status: 'created' | 'duplicate' | 'failed', id? }
+export async function createCallbackRequest({
+  callSid,
+  phone,
+  source,
+  name = null,
+  topic = null,
+  preferredWindow = null,
+  transcript = null,
+}) {
+  const now = new Date().toISOString()
+  const details = Object.fromEntries(
+    Object.entries({ name, topic, preferred_window: preferredWindow, transcript }).filter(
+      ([, v]) => v != null
+    )
+  )
+
+  try {
+    const existing = await findOpenRequest(phone)
+    if (existing) {
+      const { error } = await supabase
+        .from('cl_phone_callbacks')
+        .update({
+          ...details,
+          call_sid: callSid,
+          request_count: (existing.request_count || 1) + 1,
+          last_requested_at: now,
+        })
+        .eq('id', existing.id)
+      if (error) {
+        console.error('[Callbacks] Failed to update duplicate request:', error)
+        return { status: 'failed' }
+      }
+      console.log('[Callbacks] Repeat request', callSid, source, 'merged into', existing.id)
+      return { status: 'duplicate', id: existing.id }
+    }
+
+    const { error } = await supabase.from('cl_phone_callbacks').insert({
+      ...details,
+      call_sid: callSid,
+      phone,
+      source,
+      status: 'open',
+      request_count: 1,
+      created_at: now,
+      last_requested_at: now,
+    })
+    if (error) {
+      console.error('[Callbacks] Failed to save request:', error)
+      return { status: 'failed' }
+    }
+    console.log('[Callbacks] Saved request', callSid, source)
+    return { status: 'created' }
+  } catch (e) {
+    console.error('[Callbacks] Unexpected error saving request:', e)
+    return { status: 'failed' }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Staff work queue (GET /callbacks, GET /callbacks/:id,
+// POST /callbacks/:id/claim, POST /callbacks/:id/close)
+//
+// Each returns { data } or { error, code } with code 'bad_request',
+// 'not_found', 'conflict' or 'failed'.
+// ---------------------------------------------------------------------------
+
+export async function listCallbacks({ status = null } = {}) {
+  const statuses = status ? String(status).split(',') : ['open', 'claimed']
+  if (statuses.some((s) => !STATUSES.includes(s))) {
+    return { error: `status must be one of ${STATUSES.join(', ')}`, code: 'bad_request' }
+  }
+
+  const { data, error } = await supabase
+    .from('cl_phone_callbacks')
+    .select(LIST_COLUMNS)
+    .in('status', statuses)
+    .order('created_at', { ascending: true })
+    .limit(500)
+  if (error) return { error: error.message || String(error), code: 'failed' }
+  return { data: data || [] }
+}
+
+export async function getCallback(id) {
+  const { data, error } = await supabase
+    .from('cl_phone_callbacks')
+    .select('*')
+    .eq('id', id)
+    .limit(1)
+  if (error) return { error: error.message || String(error), code: 'failed' }
+  if (!data?.length) return { error: 'unknown callback', code: 'not_found' }
+  return { data: data[0] }
+}
+
+// Conditional update: only rows still in one of `fromStatuses` change, so
+// two staff members can't claim the same callback
+async function transition(id, fromStatuses, fields) {
+  const { data, error } = await supabase
+    .from('cl_phone_callbacks')
+    .update(fields)
+    .eq('id', id)
+    .in('status', fromStatuses)
+    .select(LIST_COLUMNS)
+  if (error) return { error: error.message || String(error), code: 'failed' }
+  if (data?.length) return { data: data[0] }
+
+  const current = await getCallback(id)
+  if (current.error) return current
+  return { error: `callback is ${current.data.status}`, code: 'conflict' }
+}
+
+export async function claimCallback(id, { staff } = {}) {
+  if (!staff) return { error: 'staff is required', code: 'bad_request' }
+
+  const result = await transition(id, ['open'], {
+    status: 'claimed',
+    claimed_by: staff,
+    claimed_at: new Date().toISOString(),
+  })
+  if (result.data) console.log('[Callbacks] Claimed', id, 'by', staff)
+  return result
+}
+
+export async function closeCallback(id, { staff, outcome = null, notes = null } = {}) {
+  if (!staff) return { error: 'staff is required', code: 'bad_request' }
+
+  const result = await transition(id, ['open', 'claimed'], {
+    status: 'closed',
+    closed_by: staff,
+    closed_at: new Date().toISOString(),
+    outcome,
+    notes,
+  })
+  if (result.data) console.log('[Callbacks] Closed', id, 'by', staff, outcome || '')
+  return result
+}
@@ -0,0 +1,60 @@
+import { supabase } from './supabaseClient.js'
+
+// ---------------------------------------------------------------------------
+// Automatic prompt / template / schedule reloads (Supabase Realtime)
+//
+//   CONFIG_AUTO_RELOAD   'false' to turn off (then POST /refresh-prompts)
+//
+// Any insert / update / delete on the watched tables triggers one reload;
+// bursts of edits (a migration, a bulk update) are coalesced.
+// ---------------------------------------------------------------------------
+
+const WATCHED_TABLES = [
+  'cl_phone_agents',
+  'answer_templates',
+  'cl_phone_agent_prompt_versions',
+  'cl_phone_hours',
+  'cl_phone_closures',
+  'cl_phone_announcements',
+]
+const RELOAD_DEBOUNCE_MS = 1000
+
+export function watchConfigChanges(reload) {
+  if (process.env.CONFIG_AUTO_RELOAD === 'false') {
+    console.log('[Config] Auto reload disabled (CONFIG_AUTO_RELOAD=false)')
+    return null
+  }
+
+  let timer = null
+  const changedTables = new Set()
+
+  function scheduleReload(table) {
+    changedTables.add(table)
+    clearTimeout(timer)
+    timer = setTimeout(async () => {
+      const tables = [...changedTables]
+      changedTables.clear()
+      console.log('[Config] Change in', tables.join(', '), '– reloading')
+      const changes = await reload()
+      console.log('[Config] Reloaded:', JSON.stringify(changes))
+    }, RELOAD_DEBOUNCE_MS)
+  }
+
+  let channel = supabase.channel('cl-phone-config')
+  for (const table of WATCHED_TABLES) {
+    channel = channel.on('postgres_changes', { event: '*', schema: 'public', table }, () =>
+      scheduleReload(table)
+    )
+  }
+
+  channel.subscribe((status, err) => {
+    if (status === 'SUBSCRIBED') {
+      console.log('[Config] Watching', WATCHED_TABLES.join(', '))
+    } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+      // supabase-js keeps retrying on its own
+      console.warn('[Config] Realtime subscription problem:', status, err?.message || '')
+    }
+  })
+
+  return channel
+}
@@ -0,0 +1,89 @@
+import { languageKeys, languageName } from './languages.js'
+
+// ---------------------------------------------------------------------------
+// Keypad (Twilio `dtmf` events)
+//
+// Menu: each agent row may set dtmf_key ('1' items, '2' locations by
+// default); DTMF_OPERATOR_KEY (default '0') transfers to a person and
+// LANGUAGE_KEYS switch the call's language (see languages.js).
+//
+// Digit collection: while a collect_digits tool call is open, key presses
+// are gathered until the finish key (#), max_digits, or a pause, and then
+// returned to the agent as that tool call's output.
+// ---------------------------------------------------------------------------
+
+const FIRST_DIGIT_TIMEOUT_MS = 15000
+const INTER_DIGIT_TIMEOUT_MS = 5000
+
+export function operatorKey() {
+  return process.env.DTMF_OPERATOR_KEY || '0'
+}
+
+// digit -> { type: 'agent', slug } | { type: 'transfer' } | { type: 'language', code }
+// `agents` is the call's snapshot (agents.js snapshotAgents)
+export function keypadMenu(agents) {
+  const menu = new Map()
+  for (const [digit, code] of languageKeys()) {
+    menu.set(digit, { type: 'language', code })
+  }
+  for (const agent of agents.listAgents()) {
+    if (agent.dtmfKey) menu.set(agent.dtmfKey, { type: 'agent', slug: agent.slug })
+  }
+  menu.set(operatorKey(), { type: 'transfer' })
+  return menu
+}
+
+// Appended to agent instructions so the model can announce the options
+export function keypadMenuHint(agents) {
+  const options = [...keypadMenu(agents)]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([digit, entry]) => {
+      if (entry.type === 'transfer') return `${digit} for a person`
+      if (entry.type === 'language') return `${digit} for ${languageName(entry.code)}`
+      return `${digit} for ${entry.slug}`
+    })
+
+  return `Keypad menu (callers may press at any time): ${options.join(', ')}.`
+}
+
+export function createDigitCollector({
+  maxDigits = null,
+  finishOnKey = '#',
+  onDone,
+}) {
+  let digits = ''
+  let timer = null
+  let done = false
+
+  function finish(reason) {
+    if (done) return
+    done = true
+    clearTimeout(timer)
+    onDone(digits, reason)
+  }
+
+  function arm(ms) {
+    clearTimeout(timer)
+    timer = setTimeout(() => finish('timeout'), ms)
+  }
+
+  arm(FIRST_DIGIT_TIMEOUT_MS)
+
+  return {
+    push(digit) {
+      if (done) return
+      if (digit === finishOnKey) return finish('finish_key')
+      if (digit === '*') {
+        digits = ''
+      } else {
+        digits += digit
+      }
+      if (maxDigits && digits.length >= maxDigits) return finish('max_digits')
+      arm(INTER_DIGIT_TIMEOUT_MS)
+    },
+    cancel() {
+      done = true
+      clearTimeout(timer)
+    },
+  }
+}
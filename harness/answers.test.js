@@ -0,0 +1,63 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+// answers.js pulls in the Supabase client, which wants these at import time;
+// nothing here talks to it
+process.env.SUPABASE_URL ||= 'http://127.0.0.1:9'
+process.env.SUPABASE_SERVICE_ROLE_KEY ||= 'unused'
+process.env.ORG_TIMEZONE = 'America/New_York'
+
+const { renderTemplate, joinList, formatSpokenDate, formatSpokenTime, formatSpokenDateTime } =
+  await import('../answers.js')
+
+test('joinList speaks lists with a conjunction', () => {
+  assert.equal(joinList([]), '')
+  assert.equal(joinList(['Lakewood']), 'Lakewood')
+  assert.equal(joinList(['Lakewood', 'Monsey']), 'Lakewood and Monsey')
+  assert.equal(
+    joinList(['Lakewood', null, 'Monsey', '', 'Passaic'], 'or'),
+    'Lakewood, Monsey or Passaic'
+  )
+  assert.equal(joinList('Lakewood'), 'Lakewood')
+})
+
+test('renderTemplate fills values, lists and nested conditionals', () => {
+  const template =
+    'Pickup is in {{town}}.{{#if items}} Bring {{items | list}}.{{#if vip}} Skip the line.{{/if}}{{else}} Nothing to bring.{{/if}} Call {{contact.phone}}.'
+
+  assert.equal(
+    renderTemplate(template, {
+      town: 'Lakewood',
+      items: ['a bag', 'your card'],
+      vip: true,
+      contact: { phone: '555-0100' },
+    }),
+    'Pickup is in Lakewood. Bring a bag and your card. Skip the line. Call 555-0100.'
+  )
+  assert.equal(
+    renderTemplate(template, { town: 'Monsey', items: [], contact: { phone: '555-0100' } }),
+    'Pickup is in Monsey. Nothing to bring. Call 555-0100.'
+  )
+  assert.equal(
+    renderTemplate('Open {{days | list_or}}', { days: ['Sunday', 'Monday'] }),
+    'Open Sunday or Monday'
+  )
+})
+
+test('calendar dates and offset-less times are spoken as written', () => {
+  // 2026-04-05 is a Sunday
+  assert.equal(formatSpokenDate('2026-04-05'), 'Sunday, April 5th')
+  assert.equal(formatSpokenTime('2026-04-05T15:00:00'), '3 PM')
+  assert.equal(formatSpokenDateTime('2026-04-05 09:30'), 'Sunday, April 5th at 9:30 AM')
+  assert.equal(
+    renderTemplate('Pickup is {{d | datetime}}.', { d: '2026-04-05T15:00:00' }),
+    'Pickup is Sunday, April 5th at 3 PM.'
+  )
+})
+
+test('timestamps with an offset are converted to the org timezone', () => {
+  assert.equal(formatSpokenDateTime('2026-04-05T19:00:00Z'), 'Sunday, April 5th at 3 PM')
+  assert.equal(formatSpokenTime('2026-04-06T01:15:00+02:00'), '7:15 PM')
+  assert.equal(formatSpokenDate(new Date('2026-04-06T02:00:00Z')), 'Sunday, April 5th')
+  assert.equal(formatSpokenDate('next week'), 'next week')
+})
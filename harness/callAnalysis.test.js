@@ -0,0 +1,149 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startGateway } from './gateway.js'
+
+let gw
+
+before(async () => {
+  gw = await startGateway({
+    tables: {
+      cl_phone_call_analytics: [
+        {
+          call_date: '2026-03-01',
+          agents: ['router', 'items'],
+          outcome: 'unanswered',
+          misses: [{ agent: 'items', tool: 'search_items', query: 'Bissli', reason: 'no_results' }],
+          prompt_versions: { router: 1, items: 1 },
+        },
+        {
+          call_date: '2026-03-01',
+          agents: ['router'],
+          outcome: 'resolved',
+          misses: [],
+          prompt_versions: { router: 2, items: 1 },
+        },
+        {
+          call_date: '2026-03-02',
+          agents: ['router', 'items'],
+          outcome: 'unanswered',
+          misses: [{ agent: 'items', tool: 'search_items', query: 'bissli', reason: 'no_results' }],
+          prompt_versions: { router: 2, items: 2 },
+        },
+      ],
+    },
+  })
+})
+
+after(() => gw?.stop())
+
+async function callTool(session, name, args) {
+  const { callId } = session.callFunction(name, args)
+  await session.waitFor('conversation.item.create', (e) => e.item.call_id === callId)
+}
+
+test('a lookup the data did not cover is flagged once the call ends', async () => {
+  const { twilio, session, callSid } = await gw.openCall()
+  session.callerSpeech('Is Bissli grill flavor kosher for Passover?')
+
+  gw.endpoints.router.setHandler(() => ({ intent: 'items', cleaned_question: 'Bissli grill?' }))
+  await callTool(session, 'determine_route', { message: 'Bissli grill?' })
+  await session.waitFor('session.update', (e) => e.session.instructions?.startsWith('ITEMS PROMPT'))
+
+  gw.endpoints.items.setHandler(() => ({ results: [] }))
+  await callTool(session, 'search_items', { query: 'Bissli grill' })
+  session.respondWithAudio({ text: "I couldn't find that one." })
+
+  twilio.stop()
+  const write = await gw.supabase.writes.waitFor((w) => w.table === 'cl_phone_call_analytics')
+  assert.equal(write.method, 'POST')
+  assert.equal(write.body.call_sid, callSid)
+  assert.equal(write.body.outcome, 'unanswered')
+  assert.deepEqual(write.body.agents, ['router', 'items'])
+  assert.deepEqual(write.body.topics, ['items'])
+  assert.deepEqual(write.body.items, ['Bissli grill'])
+  assert.deepEqual(write.body.misses, [
+    { agent: 'items', tool: 'search_items', query: 'Bissli grill', reason: 'no_results' },
+  ])
+  assert.equal(write.body.caller_turns, 1)
+  await twilio.closed
+})
+
+test('a caller who hangs up without speaking is abandoned', async () => {
+  const { twilio, callSid } = await gw.openCall()
+  await twilio.close()
+
+  const write = await gw.supabase.writes.waitFor(
+    (w) => w.table === 'cl_phone_call_analytics' && w.body.call_sid === callSid
+  )
+  assert.equal(write.body.outcome, 'abandoned')
+  assert.deepEqual(write.body.misses, [])
+})
+
+test('a caller who says goodbye after being answered is not abandoned', async () => {
+  const { twilio, session, callSid } = await gw.openCall()
+  session.callerSpeech('What are your hours?')
+  session.respondWithAudio({ text: 'We are open Sunday.' })
+  session.callerSpeech('Thanks, bye.')
+  await gw.supabase.writes.waitFor(
+    (w) => w.table === 'cl_phone_call_turns' && w.body?.text === 'Thanks, bye.'
+  )
+
+  twilio.stop()
+  const write = await gw.supabase.writes.waitFor(
+    (w) => w.table === 'cl_phone_call_analytics' && w.body.call_sid === callSid
+  )
+  assert.equal(write.body.outcome, 'resolved')
+  assert.equal(write.body.caller_turns, 2)
+  await twilio.closed
+})
+
+test('an answer template that was not found counts as a miss', async () => {
+  const { twilio, session, callSid } = await gw.openCall()
+  session.callerSpeech('Where do I park?')
+  await callTool(session, 'get_answer_template', { key: 'parking' })
+  session.respondWithAudio({ text: "I don't have that." })
+
+  twilio.stop()
+  const write = await gw.supabase.writes.waitFor(
+    (w) => w.table === 'cl_phone_call_analytics' && w.body.call_sid === callSid
+  )
+  assert.equal(write.body.outcome, 'unanswered')
+  assert.deepEqual(write.body.misses, [
+    { agent: 'router', tool: 'get_answer_template', query: 'parking', reason: 'no_results' },
+  ])
+  await twilio.closed
+})
+
+test('/analytics/report aggregates by day and agent', async () => {
+  assert.equal((await fetch(`${gw.baseUrl}/analytics/report`)).status, 401)
+
+  const headers = { Authorization: 'Bearer harness' }
+  const bad = await fetch(`${gw.baseUrl}/analytics/report?from=2026-03-05&to=2026-03-01`, { headers })
+  assert.equal(bad.status, 400)
+
+  const resp = await fetch(`${gw.baseUrl}/analytics/report?from=2026-03-01&to=2026-03-02`, {
+    headers,
+  })
+  assert.equal(resp.status, 200)
+  const report = await resp.json()
+
+  assert.deepEqual(
+    report.rows.map((r) => [r.date, r.agent, r.calls, r.outcomes.unanswered, r.misses]),
+    [
+      ['2026-03-01', 'items', 1, 1, 1],
+      ['2026-03-01', 'router', 2, 1, 0],
+      ['2026-03-02', 'items', 1, 1, 1],
+      ['2026-03-02', 'router', 1, 1, 0],
+    ]
+  )
+  assert.deepEqual(
+    report.prompt_versions.map((r) => [r.agent, r.version, r.calls, r.outcomes.resolved, r.misses]),
+    [
+      ['items', 1, 1, 0, 1],
+      ['items', 2, 1, 0, 1],
+      ['router', 1, 1, 0, 0],
+      ['router', 2, 2, 1, 0],
+    ]
+  )
+  assert.deepEqual(report.top_misses, [{ tool: 'search_items', query: 'Bissli', count: 2 }])
+})
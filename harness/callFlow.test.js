@@ -0,0 +1,545 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { setTimeout as delay } from 'timers/promises'
+import { startGateway, isGreeting } from './gateway.js'
+import { connectFakeTwilio } from './fakeTwilio.js'
+import { reply } from './stubServers.js'
+
+let gw
+
+before(async () => {
+  gw = await startGateway({
+    tables: {
+      sms_opt_outs: [],
+      answer_templates: [
+        { key: 'hours', spoken_template: 'We are open {{days | list}}.', is_active: true },
+      ],
+    },
+    env: { SMS_PROVIDER: 'log' },
+  })
+})
+
+after(() => gw?.stop())
+
+const openCall = (opts) => gw.openCall(opts)
+
+async function routeTo(session, endpointReply) {
+  gw.endpoints.router.setHandler(() => endpointReply)
+  const { callId } = session.callFunction('determine_route', {
+    message: endpointReply.cleaned_question,
+    ai_classification: endpointReply.intent,
+  })
+  await session.waitFor(
+    'session.update',
+    (e) => !e.session.instructions?.startsWith('ROUTER PROMPT')
+  )
+  return callId
+}
+
+test('greeting is sent once when Twilio starts before the Realtime session opens', async () => {
+  gw.realtime.setHandshakeDelay(300)
+  const index = gw.realtime.sessions.items.length
+  const { twilio } = await gw.connectCall()
+  const session = await gw.realtime.nextSession(index)
+  gw.realtime.setHandshakeDelay(0)
+
+  await session.waitFor('response.create')
+  await delay(100)
+
+  const types = session.received.items.map((e) => e.type)
+  assert.equal(types[0], 'session.update')
+  assert.equal(session.received.filter(isGreeting).length, 1)
+  assert.equal(types.filter((t) => t === 'response.create').length, 1)
+
+  await twilio.close()
+})
+
+test('greeting waits for Twilio start when the Realtime session opens first', async () => {
+  const index = gw.realtime.sessions.items.length
+  const { twilio, startCall } = await gw.connectCall({ start: false })
+  const session = await gw.realtime.nextSession(index)
+
+  await session.waitFor('session.update')
+  await delay(100)
+  assert.equal(session.received.filter(isGreeting).length, 0)
+
+  startCall()
+  await session.waitFor('conversation.item.create', isGreeting)
+  await delay(100)
+  assert.equal(session.received.filter(isGreeting).length, 1)
+
+  await twilio.close()
+})
+
+test('unsigned media stream upgrades are rejected', async () => {
+  await assert.rejects(
+    connectFakeTwilio(`ws://127.0.0.1:${gw.port}/twilio-stream`),
+    /rejected: 403/
+  )
+})
+
+test('start without a valid stream token closes the call', async () => {
+  const { twilio } = await gw.connectCall({ start: false })
+  twilio.start({ callSid: 'CA_forged', customParameters: { token: 'CA_forged.9999999999.bad' } })
+  await twilio.closed
+  await gw.logs.waitFor((l) => l.includes('[Auth] Rejected media stream'))
+})
+
+test('barge-in cancels the response, clears Twilio and truncates at the played mark', async () => {
+  const { twilio, session } = await openCall({ autoMarks: false })
+
+  // two 100ms chunks; the response stays active
+  const { itemId } = session.respondWithAudio({ bytes: 1600, chunks: 2, done: false })
+  const firstMark = await twilio.waitFor('mark')
+  assert.equal(firstMark.mark.name, `${itemId}:100`)
+  await twilio.waitFor('mark', (f) => f.mark.name === `${itemId}:200`)
+  twilio.mark(firstMark.mark.name)
+  await delay(50)
+
+  session.callerSpeech('Wait, actually...')
+  await session.waitFor('response.cancel')
+  await twilio.waitFor('clear')
+  const truncate = await session.waitFor('conversation.item.truncate')
+  assert.equal(truncate.item_id, itemId)
+  assert.equal(truncate.audio_end_ms, 100)
+
+  await twilio.close()
+})
+
+test('an oversized webhook body is refused without taking the gateway down', async () => {
+  const resp = await fetch(`${gw.baseUrl}/twilio/voice`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: `CallSid=CA_big&Body=${'x'.repeat(2e6)}`,
+  })
+  assert.equal(resp.status, 413)
+
+  await delay(100)
+  assert.equal(gw.child.exitCode, null)
+  assert.equal((await fetch(`${gw.baseUrl}/healthz`)).status, 200)
+})
+
+test('determine_route hands the caller to the pickup agent', async () => {
+  const { twilio, session, callSid } = await openCall()
+
+  const callId = await routeTo(session, {
+    intent: 'pickup',
+    question_type: 'specific',
+    cleaned_question: 'When is pickup in Lakewood?',
+  })
+
+  const routerReq = await gw.endpoints.router.requests.waitFor(
+    (r) => r.body.call_sid === callSid
+  )
+  assert.equal(routerReq.body.current_agent, 'router')
+
+  const output = await session.waitFor('conversation.item.create', (e) => e.item.call_id === callId)
+  assert.equal(JSON.parse(output.item.output).intent, 'pickup')
+
+  const update = await session.waitFor('session.update', (e) =>
+    e.session.instructions?.startsWith('LOCATIONS PROMPT')
+  )
+  const toolNames = update.session.tools.map((t) => t.name)
+  assert.ok(toolNames.includes('search_pickup_locations'))
+  assert.ok(toolNames.includes('handoff_to_router'))
+
+  await session.waitFor(
+    'conversation.item.create',
+    (e) => e.item.content?.[0]?.text === 'When is pickup in Lakewood?'
+  )
+
+  await twilio.close()
+})
+
+test('items agent searches, then hands back to the router', async () => {
+  const { twilio, session, callSid } = await openCall()
+  await routeTo(session, { intent: 'items', cleaned_question: 'Is the grape juice chalav yisroel?' })
+
+  gw.endpoints.items.setHandler((body) => ({ results: [{ name: body.query }] }))
+  const search = session.callFunction('search_items', { query: 'grape juice' })
+
+  const output = await session.waitFor('conversation.item.create', (e) => e.item.call_id === search.callId)
+  assert.deepEqual(JSON.parse(output.item.output), { results: [{ name: 'grape juice' }] })
+  const itemsReq = await gw.endpoints.items.requests.waitFor((r) => r.body.call_sid === callSid)
+  assert.equal(itemsReq.body.query, 'grape juice')
+
+  session.callFunction('handoff_to_router', { question: 'Where do I pick up?' })
+  await session.waitFor(
+    'session.update',
+    (e) => e.session.instructions?.startsWith('ROUTER PROMPT') && e.session.tools
+  )
+
+  await twilio.close()
+})
+
+test('a failing tool endpoint is retried, then reported to the model', async () => {
+  const { twilio, session, callSid } = await openCall()
+  await routeTo(session, { intent: 'items', cleaned_question: 'Is there tuna?' })
+
+  gw.endpoints.items.setHandler(() => reply(500, { error: 'boom' }))
+  const failed = session.callFunction('search_items', { query: 'tuna' })
+
+  const output = await session.waitFor(
+    'conversation.item.create',
+    (e) => e.item.call_id === failed.callId
+  )
+  assert.equal(JSON.parse(output.item.output).ok, false)
+  assert.equal(JSON.parse(output.item.output).error, 'http_error')
+  assert.equal(gw.endpoints.items.requests.filter((r) => r.body.call_sid === callSid).length, 2)
+  await delay(50)
+  const after = session.received.items.slice(session.received.items.indexOf(output))
+  assert.ok(after.some((e) => e.type === 'response.create'))
+
+  gw.endpoints.items.setHandler(() => ({ results: [] }))
+  const retry = session.callFunction('search_items', { query: 'tuna' })
+  await session.waitFor('conversation.item.create', (e) => e.item.call_id === retry.callId)
+
+  await twilio.close()
+})
+
+test('4xx answers to bad queries never open the circuit', async () => {
+  const { twilio, session, callSid } = await openCall()
+  await routeTo(session, { intent: 'items', cleaned_question: 'Is there tuna?' })
+
+  gw.endpoints.items.setHandler(() => reply(404, { error: 'no such item' }))
+  for (let i = 0; i < 6; i++) {
+    const { callId } = session.callFunction('search_items', { query: `bad query ${i}` })
+    const output = await session.waitFor(
+      'conversation.item.create',
+      (e) => e.item.call_id === callId
+    )
+    assert.equal(JSON.parse(output.item.output).error, 'http_error')
+  }
+  // not retried either
+  assert.equal(gw.endpoints.items.requests.filter((r) => r.body.call_sid === callSid).length, 6)
+
+  gw.endpoints.items.setHandler(() => ({ results: [{ name: 'tuna' }] }))
+  const { callId } = session.callFunction('search_items', { query: 'tuna' })
+  const output = await session.waitFor('conversation.item.create', (e) => e.item.call_id === callId)
+  assert.deepEqual(JSON.parse(output.item.output), { results: [{ name: 'tuna' }] })
+
+  await twilio.close()
+})
+
+test('a slow lookup plays a filler phrase and times out with an error output', async () => {
+  const { twilio, session } = await openCall()
+  await routeTo(session, { intent: 'pickup', cleaned_question: 'Where is pickup?' })
+
+  gw.endpoints.pickup.setHandler(() => reply(200, {}, { delayMs: 1000 }))
+  const slow = session.callFunction('search_pickup_locations', { location_query: 'Monsey' })
+
+  const filler = await session.waitFor(
+    'response.create',
+    (e) => e.response?.metadata?.purpose === 'filler'
+  )
+  assert.equal(filler.response.conversation, 'none')
+  session.respondWithAudio({ text: 'Let me check that for you.' })
+
+  const output = await session.waitFor(
+    'conversation.item.create',
+    (e) => e.item.call_id === slow.callId,
+    { timeout: 5000 }
+  )
+  assert.equal(JSON.parse(output.item.output).error, 'timeout')
+
+  gw.endpoints.pickup.setHandler(() => ({}))
+  await twilio.close()
+})
+
+// A function call whose response stays active until the returned done()
+function openFunctionCall(session, name, args) {
+  const responseId = 'resp_open'
+  const callId = `call_${name}`
+  session.send({ type: 'response.created', response: { id: responseId } })
+  session.send({
+    type: 'response.output_item.added',
+    response_id: responseId,
+    item: { id: 'item_open', type: 'function_call', name, call_id: callId },
+  })
+  session.send({
+    type: 'response.function_call_arguments.done',
+    response_id: responseId,
+    item_id: 'item_open',
+    call_id: callId,
+    arguments: JSON.stringify(args),
+  })
+  return {
+    callId,
+    done: () => session.send({ type: 'response.done', response: { id: responseId } }),
+  }
+}
+
+test('get_answer_template answers once the response that called it is done', async () => {
+  const { twilio, session } = await openCall()
+  const before = session.received.filter((e) => e.type === 'response.create').length
+
+  const call = openFunctionCall(session, 'get_answer_template', {
+    key: 'hours',
+    params: { days: ['Sunday', 'Monday'] },
+  })
+  const output = await session.waitFor(
+    'conversation.item.create',
+    (e) => e.item.call_id === call.callId
+  )
+  assert.equal(JSON.parse(output.item.output).text, 'We are open Sunday and Monday.')
+  await delay(50)
+  assert.equal(session.received.filter((e) => e.type === 'response.create').length, before)
+
+  call.done()
+  await session.received.waitFor(
+    () => session.received.filter((e) => e.type === 'response.create').length > before
+  )
+
+  await twilio.close()
+})
+
+test('responses asked for while one is pending are sent one at a time, in order', async () => {
+  const { twilio, session } = await openCall()
+  const responseCreates = () => session.received.filter((e) => e.type === 'response.create')
+  const before = responseCreates().length
+
+  gw.realtime.setAutoRespond(false)
+  try {
+    // the template follow-up goes out at once; the keypad's waits for it
+    session.callFunction('get_answer_template', { key: 'hours', params: { days: ['Sunday'] } })
+    await session.received.waitFor(() => responseCreates().length === before + 1)
+    twilio.dtmf('7')
+    await session.waitFor('session.update', (e) => /Yiddish/.test(e.session.instructions))
+    await delay(50)
+    assert.equal(responseCreates().length, before + 1)
+
+    session.send({ type: 'response.created', response: { id: 'resp_template' } })
+    session.send({ type: 'response.done', response: { id: 'resp_template' } })
+    await session.received.waitFor(() => responseCreates().length === before + 2)
+    assert.match(responseCreates().at(-1).response.instructions, /chose Yiddish/)
+  } finally {
+    gw.realtime.setAutoRespond(true)
+  }
+
+  await twilio.close()
+})
+
+test('only an error about the pending response.create releases the queue', async () => {
+  const { twilio, session } = await openCall()
+  const responseCreates = () => session.received.filter((e) => e.type === 'response.create')
+  const before = responseCreates().length
+
+  gw.realtime.setAutoRespond(false)
+  try {
+    session.callFunction('get_answer_template', { key: 'hours', params: { days: ['Sunday'] } })
+    await session.received.waitFor(() => responseCreates().length === before + 1)
+    const pending = responseCreates().at(-1)
+    twilio.dtmf('7')
+    await session.waitFor('session.update', (e) => /Yiddish/.test(e.session.instructions))
+
+    // e.g. a truncate for an item that is already gone
+    session.error('invalid_request_error', 'item not found', { eventId: 'evt_truncate' })
+    await delay(50)
+    assert.equal(responseCreates().length, before + 1)
+
+    session.error('invalid_request_error', 'active response', { eventId: pending.event_id })
+    await session.received.waitFor(() => responseCreates().length === before + 2)
+  } finally {
+    gw.realtime.setAutoRespond(true)
+  }
+
+  await twilio.close()
+})
+
+test('unknown tools get an error output instead of silence', async () => {
+  const { twilio, session } = await openCall()
+
+  const { callId } = session.callFunction('search_items', { query: 'wine' })
+  const output = await session.waitFor('conversation.item.create', (e) => e.item.call_id === callId)
+  assert.equal(JSON.parse(output.item.output).error, 'unknown_tool')
+
+  await twilio.close()
+})
+
+test('keypad 2 jumps straight to the pickup agent', async () => {
+  const { twilio, session } = await openCall()
+
+  twilio.dtmf('2')
+  await session.waitFor('session.update', (e) =>
+    e.session.instructions?.startsWith('LOCATIONS PROMPT')
+  )
+  await session.waitFor('conversation.item.create', (e) =>
+    e.item.content?.[0]?.text?.includes('pressed 2')
+  )
+  await delay(50)
+  assert.equal(session.received.filter((e) => e.type === 'response.create').length, 2)
+
+  await twilio.close()
+})
+
+test('a keypad press before the Realtime session opens picks the opening agent', async () => {
+  gw.realtime.setHandshakeDelay(800)
+  const index = gw.realtime.sessions.items.length
+  const { twilio } = await gw.connectCall()
+  await delay(100)
+  twilio.dtmf('2')
+
+  const session = await gw.realtime.nextSession(index)
+  gw.realtime.setHandshakeDelay(0)
+  const opening = await session.waitFor('session.update')
+  assert.ok(opening.session.instructions.startsWith('LOCATIONS PROMPT'))
+  await session.waitFor('conversation.item.create', isGreeting)
+  assert.equal(gw.child.exitCode, null)
+
+  await twilio.close()
+})
+
+test('collect_digits returns what the caller typed', async () => {
+  const { twilio, session } = await openCall()
+
+  const { callId } = session.callFunction('collect_digits', { purpose: 'zip_code', max_digits: 5 })
+  await delay(50)
+  for (const d of '08701') twilio.dtmf(d)
+
+  const output = await session.waitFor('conversation.item.create', (e) => e.item.call_id === callId)
+  assert.deepEqual(JSON.parse(output.item.output), {
+    purpose: 'zip_code',
+    digits: '08701',
+    terminated_by: 'max_digits',
+    source: 'keypad',
+  })
+
+  await twilio.close()
+})
+
+test('a language parameter preselects voice and prompt before the greeting', async () => {
+  const { twilio, session } = await openCall({ language: 'yi' })
+
+  const update = session.received.items.findLast((e) => e.type === 'session.update')
+  assert.match(update.session.instructions, /Always answer in Yiddish/)
+  assert.ok('voice' in update.session)
+
+  await twilio.close()
+})
+
+test('the first caller turn sets the language, and it survives handoffs', async () => {
+  const { twilio, session } = await openCall()
+
+  session.respondWithAudio({ text: 'Welcome.' })
+  session.callerSpeech('¿Dónde puedo recoger la comida?')
+  const update = await session.waitFor('session.update', (e) =>
+    /Always answer in Spanish/.test(e.session.instructions || '')
+  )
+  assert.ok(!('voice' in update.session), 'voice cannot change after audio')
+
+  await routeTo(session, { intent: 'pickup', cleaned_question: '¿Dónde recoger?' })
+  const handoff = session.received.items.findLast((e) => e.type === 'session.update')
+  assert.match(handoff.session.instructions, /^LOCATIONS PROMPT[\s\S]*Spanish/)
+
+  gw.endpoints.pickup.setHandler(() => ({ locations: [] }))
+  session.callFunction('search_pickup_locations', { location_query: 'Williamsburg' })
+  const req = await gw.endpoints.pickup.requests.waitFor(
+    (r) => r.body.location_query === 'Williamsburg'
+  )
+  assert.equal(req.body.language, 'es')
+
+  await twilio.close()
+})
+
+test('send_sms_summary texts the last pickup result to the caller', async () => {
+  const { twilio, session, callSid } = await openCall({ from: '+15555550123' })
+  await routeTo(session, { intent: 'pickup', cleaned_question: 'Pickup in Monsey?' })
+
+  gw.endpoints.pickup.setHandler(() => ({
+    locations: [{ location_name: 'Monsey Hall', address: '1 Main St', city: 'Monsey', time_window: 'Sun 2-5 PM' }],
+  }))
+  const search = session.callFunction('search_pickup_locations', { location_query: 'Monsey' })
+  await session.waitFor('conversation.item.create', (e) => e.item.call_id === search.callId)
+
+  const sms = session.callFunction('send_sms_summary', {})
+  const output = await session.waitFor('conversation.item.create', (e) => e.item.call_id === sms.callId)
+  assert.deepEqual(JSON.parse(output.item.output), { ok: true, sent_to_last_digits: '0123' })
+
+  const logged = await gw.supabase.writes.waitFor(
+    (w) => w.table === 'cl_phone_sms_log' && w.body.call_sid === callSid
+  )
+  assert.equal(logged.body.status, 'sent')
+  assert.equal(logged.body.to_number, '[phone]')
+  assert.match(logged.body.body, /Monsey Hall - 1 Main St, Monsey - Sun 2-5 PM/)
+
+  await twilio.close()
+})
+
+test('send_sms_summary respects opt-outs', async () => {
+  gw.supabase.tables.sms_opt_outs.push({ phone: '+15555550199' })
+  try {
+    const { twilio, session, callSid } = await openCall({ from: '+15555550199' })
+    await routeTo(session, { intent: 'items', cleaned_question: 'Is the wine mevushal?' })
+
+    gw.endpoints.items.setHandler(() => ({ results: [{ name: 'Wine', brand: 'Kedem' }] }))
+    const search = session.callFunction('search_items', { query: 'wine' })
+    await session.waitFor('conversation.item.create', (e) => e.item.call_id === search.callId)
+
+    const sms = session.callFunction('send_sms_summary', {})
+    const output = await session.waitFor('conversation.item.create', (e) => e.item.call_id === sms.callId)
+    assert.equal(JSON.parse(output.item.output).error, 'opted_out')
+
+    const logged = await gw.supabase.writes.waitFor(
+      (w) => w.table === 'cl_phone_sms_log' && w.body.call_sid === callSid
+    )
+    assert.equal(logged.body.status, 'opted_out')
+
+    await twilio.close()
+  } finally {
+    gw.supabase.tables.sms_opt_outs.length = 0
+  }
+})
+
+test('/metrics reports calls, tools, handoffs, OpenAI errors and first-audio latency', async () => {
+  const { twilio, session } = await openCall()
+  await routeTo(session, { intent: 'items', cleaned_question: 'Do you have matzah?' })
+
+  gw.endpoints.items.setHandler(() => reply(500, { message: 'boom' }))
+  const search = session.callFunction('search_items', { query: 'matzah' })
+  await session.waitFor('conversation.item.create', (e) => e.item.call_id === search.callId)
+
+  session.callerSpeech('Thanks')
+  session.respondWithAudio({ text: 'You are welcome.' })
+  session.error('server_error')
+  await gw.logs.waitFor((l) => l.includes('[OpenAI error event]'))
+
+  const resp = await fetch(`${gw.baseUrl}/metrics`)
+  assert.equal(resp.status, 200)
+  const text = await resp.text()
+  const value = (series) => {
+    const line = text.split('\n').find((l) => l.startsWith(`${series} `))
+    return line ? Number(line.slice(series.length + 1)) : null
+  }
+
+  assert.ok(value('cl_phone_active_calls') >= 1)
+  assert.ok(value('cl_phone_tool_latency_seconds_count{tool="determine_route"}') >= 1)
+  assert.ok(value('cl_phone_tool_errors_total{tool="search_items",code="http_error"}') >= 1)
+  assert.ok(value('cl_phone_handoffs_total{from="router",to="items"}') >= 1)
+  assert.ok(value('cl_phone_openai_errors_total{type="server_error"}') >= 1)
+  assert.ok(value('cl_phone_time_to_first_audio_seconds_count{agent="items"}') >= 1)
+
+  twilio.stop()
+  await twilio.closed
+})
+
+test('caller and assistant turns are persisted', async () => {
+  const { twilio, session, callSid } = await openCall()
+
+  session.respondWithAudio({ text: 'Welcome to Chasdei Lev.' })
+  session.callerSpeech('When is pickup?')
+  await gw.logs.waitFor((l) => l.includes('[Caller]') && l.includes('When is pickup?'))
+  twilio.stop()
+  await twilio.closed
+
+  const turnsFor = (role) =>
+    gw.supabase.writes.waitFor(
+      (w) => w.table === 'cl_phone_call_turns' && w.body.call_sid === callSid && w.body.role === role,
+      { label: `${role} turn` }
+    )
+
+  assert.equal((await turnsFor('assistant')).body.text, 'Welcome to Chasdei Lev.')
+  assert.equal((await turnsFor('caller')).body.text, 'When is pickup?')
+  await gw.supabase.writes.waitFor(
+    (w) => w.table === 'cl_phone_calls' && w.method === 'PATCH' && w.body.end_reason === 'twilio_stop'
+  )
+})
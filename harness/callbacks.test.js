@@ -0,0 +1,132 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { setTimeout as delay } from 'timers/promises'
+import { startGateway } from './gateway.js'
+
+const STAFF = { Authorization: 'Bearer staff-token', 'Content-Type': 'application/json' }
+
+let gw
+
+before(async () => {
+  gw = await startGateway({
+    tables: {
+      cl_phone_callbacks: [],
+    },
+    env: { CALLBACK_STAFF_TOKEN: 'staff-token' },
+  })
+})
+
+after(() => gw?.stop())
+
+async function callTool(session, name, args) {
+  const { callId } = session.callFunction(name, args)
+  const output = await session.waitFor('conversation.item.create', (e) => e.item.call_id === callId)
+  return JSON.parse(output.item.output)
+}
+
+test('request_callback confirms the caller ID number before queueing', async () => {
+  const { twilio, session } = await gw.openCall({ callSid: 'CA_callback', from: '+15555550188' })
+  session.callerSpeech('Can someone call me back about my order?')
+
+  const args = { name: 'Rivka', topic: 'missing box', preferred_window: 'after 5pm', phone_source: 'caller_id' }
+  const unconfirmed = await callTool(session, 'request_callback', args)
+  assert.equal(unconfirmed.error, 'confirm_number')
+  assert.equal(unconfirmed.number_last_digits, '0188')
+  assert.equal(gw.supabase.writes.items.filter((w) => w.table === 'cl_phone_callbacks').length, 0)
+
+  const saved = await callTool(session, 'request_callback', { ...args, number_confirmed: true })
+  assert.deepEqual(
+    [saved.ok, saved.phone_last_digits, saved.already_requested],
+    [true, '0188', false]
+  )
+
+  const insert = await gw.supabase.writes.waitFor((w) => w.table === 'cl_phone_callbacks')
+  assert.equal(insert.method, 'POST')
+  assert.equal(insert.body.call_sid, 'CA_callback')
+  assert.equal(insert.body.phone, '+15555550188')
+  assert.equal(insert.body.source, 'agent')
+  assert.equal(insert.body.preferred_window, 'after 5pm')
+  assert.deepEqual(insert.body.transcript, [
+    { role: 'caller', agent: 'router', text: 'Can someone call me back about my order?' },
+  ])
+
+  await twilio.close()
+})
+
+test('a keypad number is used, and a repeat request updates the open one', async () => {
+  gw.supabase.tables.cl_phone_callbacks.push({ id: 7, phone: '+12125550123', status: 'open', request_count: 1 })
+  const { twilio, session } = await gw.openCall()
+
+  const { callId } = session.callFunction('collect_digits', { purpose: 'phone_number' })
+  await delay(50)
+  for (const d of '2125550123#') twilio.dtmf(d)
+  await session.waitFor('conversation.item.create', (e) => e.item.call_id === callId)
+
+  const saved = await callTool(session, 'request_callback', {
+    name: 'Moshe',
+    topic: 'donation receipt',
+    phone_source: 'keypad',
+  })
+  assert.deepEqual([saved.ok, saved.phone_last_digits, saved.already_requested], [true, '0123', true])
+
+  const update = await gw.supabase.writes.waitFor(
+    (w) => w.table === 'cl_phone_callbacks' && w.method === 'PATCH'
+  )
+  assert.equal(update.query.id, 'eq.7')
+  assert.equal(update.body.request_count, 2)
+  assert.equal(update.body.topic, 'donation receipt')
+
+  await twilio.close()
+})
+
+test('digits typed for another purpose are never taken as the callback number', async () => {
+  const { twilio, session } = await gw.openCall()
+
+  const { callId } = session.callFunction('collect_digits', { purpose: 'order_number' })
+  await delay(50)
+  for (const d of '7185550142#') twilio.dtmf(d)
+  await session.waitFor('conversation.item.create', (e) => e.item.call_id === callId)
+
+  const refused = await callTool(session, 'request_callback', {
+    name: 'Moshe',
+    topic: 'order status',
+    phone_source: 'keypad',
+  })
+  assert.equal(refused.error, 'invalid_phone')
+
+  await twilio.close()
+})
+
+test('staff list, claim and close callbacks', async () => {
+  const rows = gw.supabase.tables.cl_phone_callbacks
+  rows.splice(0, rows.length, { id: 11, phone: '+15555550111', status: 'open', transcript: [] })
+
+  assert.equal((await fetch(`${gw.baseUrl}/callbacks`)).status, 401)
+
+  const list = await fetch(`${gw.baseUrl}/callbacks`, { headers: STAFF })
+  assert.equal(list.status, 200)
+  assert.deepEqual((await list.json()).map((c) => c.id), [11])
+
+  const post = (path, body) =>
+    fetch(`${gw.baseUrl}${path}`, { method: 'POST', headers: STAFF, body: JSON.stringify(body) })
+
+  assert.equal((await post('/callbacks/11/claim', {})).status, 400)
+
+  const claimed = await post('/callbacks/11/claim', { staff: 'dina' })
+  assert.equal(claimed.status, 200)
+  assert.deepEqual(
+    [(await claimed.json()).status, rows[0].claimed_by],
+    ['claimed', 'dina']
+  )
+
+  const again = await post('/callbacks/11/claim', { staff: 'yossi' })
+  assert.equal(again.status, 409)
+  assert.equal(await again.text(), 'callback is claimed')
+
+  const closed = await post('/callbacks/11/close', { staff: 'dina', outcome: 'reached' })
+  assert.equal(closed.status, 200)
+  assert.equal(rows[0].status, 'closed')
+  assert.equal(rows[0].outcome, 'reached')
+
+  assert.equal((await post('/callbacks/11/close', { staff: 'dina' })).status, 409)
+})
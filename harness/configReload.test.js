@@ -0,0 +1,115 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startGateway } from './gateway.js'
+
+let gw
+
+before(async () => {
+  gw = await startGateway({
+    tables: {
+      answer_templates: [
+        { key: 'hours', spoken_template: 'We are open Sunday.', is_active: true },
+        { key: 'address', spoken_template: 'We are at 1 Main St.', is_active: true },
+      ],
+    },
+  })
+})
+
+after(() => gw?.stop())
+
+async function refresh() {
+  const resp = await fetch(`${gw.baseUrl}/refresh-prompts`, {
+    method: 'POST',
+    headers: { Authorization: 'Bearer harness' },
+  })
+  assert.equal(resp.status, 200)
+  return resp.json()
+}
+
+test('/refresh-prompts reports changes and rejects blanked prompts', async () => {
+  const { tables } = gw.supabase
+  const before = structuredClone(tables)
+  try {
+    tables.cl_phone_agents[0].system_prompt = '   '
+    tables.cl_phone_agents[1].system_prompt = 'ITEMS PROMPT V2'
+    tables.answer_templates[0].spoken_template = ''
+    tables.answer_templates[1].spoken_template = 'We moved to 2 Main St.'
+    tables.answer_templates.push({ key: 'parking', spoken_template: 'Park behind.', is_active: true })
+
+    const changes = await refresh()
+    assert.deepEqual(changes.agents, {
+      added: [],
+      removed: [],
+      changed: ['items'],
+      rejected: ['router'],
+    })
+    assert.deepEqual(changes.answer_templates, {
+      added: ['parking'],
+      removed: [],
+      changed: ['address'],
+      rejected: ['hours'],
+    })
+
+    // The router kept its prompt, so the gateway stays ready
+    assert.equal((await fetch(`${gw.baseUrl}/readyz`)).status, 200)
+    const { twilio, session } = await gw.openCall()
+    assert.ok(session.received.items[0].session.instructions.startsWith('ROUTER PROMPT'))
+    await twilio.close()
+  } finally {
+    Object.assign(tables, before)
+    await refresh()
+  }
+})
+
+test('live calls keep the prompts they started with', async () => {
+  const { tables } = gw.supabase
+  const before = structuredClone(tables)
+  const { twilio, session } = await gw.openCall()
+  try {
+    tables.cl_phone_agents[2].system_prompt = 'LOCATIONS PROMPT V2'
+    await refresh()
+
+    gw.endpoints.router.setHandler(() => ({ intent: 'pickup', cleaned_question: 'Where?' }))
+    session.callFunction('determine_route', { message: 'Where?' })
+    await session.waitFor('session.update', (e) =>
+      e.session.instructions?.startsWith('LOCATIONS PROMPT\n')
+    )
+
+    const next = await gw.openCall()
+    next.session.callFunction('determine_route', { message: 'Where?' })
+    await next.session.waitFor('session.update', (e) =>
+      e.session.instructions?.startsWith('LOCATIONS PROMPT V2')
+    )
+    await next.twilio.close()
+  } finally {
+    await twilio.close()
+    Object.assign(tables, before)
+    await refresh()
+  }
+})
+
+test('live calls keep their keypad menu and answer keys', async () => {
+  const { tables } = gw.supabase
+  const before = structuredClone(tables)
+  const { twilio, session } = await gw.openCall()
+  try {
+    tables.cl_phone_agents[2].dtmf_key = '5'
+    tables.answer_templates.push({ key: 'parking', spoken_template: 'Park behind.', is_active: true })
+    await refresh()
+
+    twilio.dtmf('5')
+    await gw.logs.waitFor((l) => l.includes('[DTMF] No menu entry for 5'))
+
+    twilio.dtmf('2')
+    const update = await session.waitFor('session.update', (e) =>
+      e.session.instructions?.startsWith('LOCATIONS PROMPT')
+    )
+    assert.match(update.session.instructions, /2 for locations/)
+    const answer = update.session.tools.find((t) => t.name === 'get_answer_template')
+    assert.deepEqual(answer.parameters.properties.key.enum.sort(), ['address', 'hours'])
+  } finally {
+    await twilio.close()
+    Object.assign(tables, before)
+    await refresh()
+  }
+})
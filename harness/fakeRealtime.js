@@ -0,0 +1,184 @@
+import { once } from 'events'
+import { WebSocketServer } from 'ws'
+import { createRecorder } from './recorder.js'
+
+// ---------------------------------------------------------------------------
+// Fake OpenAI Realtime server
+//
+// Every gateway connection becomes a session. Tests read what the gateway
+// sent (session.received) and script the model's side with the helpers
+// below, which emit the same event sequences the beta Realtime API does.
+// Once a session sends a GA-shaped session.update (session.type 'realtime')
+// its events carry the GA names instead (response.output_audio.delta, ...).
+// Like the real API, every response.create is answered with an (empty)
+// response.created / response.done pair unless `autoRespond` is turned off.
+// ---------------------------------------------------------------------------
+
+export async function startFakeRealtime() {
+  let handshakeDelayMs = 0
+  let autoRespond = true
+  let nextId = 1
+  const sessions = createRecorder()
+
+  const wss = new WebSocketServer({
+    port: 0,
+    host: '127.0.0.1',
+    // Lets tests open the Realtime socket after Twilio's `start` event
+    verifyClient: (info, done) => setTimeout(() => done(true), handshakeDelayMs),
+  })
+  await once(wss, 'listening')
+
+  wss.on('connection', (ws, req) => {
+    sessions.push(createSession(ws, req, () => nextId++, () => autoRespond))
+  })
+
+  return {
+    url: `ws://127.0.0.1:${wss.address().port}`,
+    sessions,
+    setHandshakeDelay(ms) {
+      handshakeDelayMs = ms
+    },
+    setAutoRespond(enabled) {
+      autoRespond = enabled
+    },
+    nextSession(index = sessions.items.length) {
+      return sessions.waitFor((s) => sessions.items.indexOf(s) === index, {
+        label: `realtime session #${index}`,
+      })
+    },
+    async close() {
+      for (const ws of wss.clients) ws.terminate()
+      wss.close()
+      await once(wss, 'close')
+    },
+  }
+}
+
+const GA_EVENT_NAMES = {
+  'response.audio.delta': 'response.output_audio.delta',
+  'response.audio.done': 'response.output_audio.done',
+  'response.audio_transcript.delta': 'response.output_audio_transcript.delta',
+  'response.audio_transcript.done': 'response.output_audio_transcript.done',
+}
+
+function createSession(ws, req, newId, autoRespond) {
+  const received = createRecorder()
+  let ga = false
+
+  ws.on('message', (raw) => {
+    let event
+    try {
+      event = JSON.parse(raw.toString())
+    } catch {
+      event = { type: '<non-json>', raw: raw.toString() }
+    }
+    received.push(event)
+    if (event.type === 'session.update' && event.session?.type === 'realtime') ga = true
+
+    if (event.type === 'response.create' && autoRespond()) {
+      const responseId = `resp_${newId()}`
+      const metadata = event.response?.metadata || null
+      setImmediate(() => {
+        send({ type: 'response.created', response: { id: responseId, metadata } })
+        send({ type: 'response.done', response: { id: responseId, metadata, output: [] } })
+      })
+    }
+  })
+
+  function send(event) {
+    const type = (ga && GA_EVENT_NAMES[event.type]) || event.type
+    ws.send(JSON.stringify({ event_id: `evt_${newId()}`, ...event, type }))
+  }
+
+  function waitFor(type, predicate = () => true, opts = {}) {
+    return received.waitFor((e) => e.type === type && predicate(e), {
+      label: `client event ${type}`,
+      ...opts,
+    })
+  }
+
+  // Assistant speaks `text`, streaming `bytes` of μ-law silence
+  function respondWithAudio({
+    text = 'Hello.',
+    bytes = 1600,
+    chunks = 2,
+    done = true,
+    fill = 0xff, // μ-law silence
+    metadata = null,
+  } = {}) {
+    const responseId = `resp_${newId()}`
+    const itemId = `item_${newId()}`
+
+    send({ type: 'response.created', response: { id: responseId, metadata } })
+    for (let i = 0; i < chunks; i++) {
+      send({
+        type: 'response.audio.delta',
+        response_id: responseId,
+        item_id: itemId,
+        delta: Buffer.alloc(Math.floor(bytes / chunks), fill).toString('base64'),
+      })
+    }
+    send({ type: 'response.audio_transcript.delta', item_id: itemId, delta: text })
+    send({ type: 'response.audio_transcript.done', item_id: itemId, transcript: text })
+    send({ type: 'response.audio.done', item_id: itemId })
+    if (done) send({ type: 'response.done', response: { id: responseId, metadata } })
+
+    return { responseId, itemId }
+  }
+
+  // Model calls `name` with `args`
+  function callFunction(name, args = {}) {
+    const responseId = `resp_${newId()}`
+    const itemId = `item_${newId()}`
+    const callId = `call_${newId()}`
+
+    send({ type: 'response.created', response: { id: responseId } })
+    send({
+      type: 'response.output_item.added',
+      response_id: responseId,
+      item: { id: itemId, type: 'function_call', name, call_id: callId },
+    })
+    send({
+      type: 'response.function_call_arguments.done',
+      response_id: responseId,
+      item_id: itemId,
+      call_id: callId,
+      arguments: JSON.stringify(args),
+    })
+    send({ type: 'response.done', response: { id: responseId } })
+
+    return { responseId, itemId, callId }
+  }
+
+  // Caller says `transcript` (server VAD + input transcription)
+  function callerSpeech(transcript) {
+    const itemId = `item_${newId()}`
+    send({ type: 'input_audio_buffer.speech_started', item_id: itemId })
+    send({ type: 'input_audio_buffer.speech_stopped', item_id: itemId })
+    send({
+      type: 'conversation.item.input_audio_transcription.completed',
+      item_id: itemId,
+      content_index: 0,
+      transcript,
+    })
+    return { itemId }
+  }
+
+  // `eventId`: the client event the error is about (error.event_id)
+  function error(type = 'invalid_request_error', message = 'scripted error', { eventId } = {}) {
+    send({ type: 'error', error: { type, message, ...(eventId ? { event_id: eventId } : {}) } })
+  }
+
+  return {
+    url: req.url,
+    headers: req.headers,
+    received,
+    send,
+    waitFor,
+    respondWithAudio,
+    callFunction,
+    callerSpeech,
+    error,
+    close: () => ws.close(),
+  }
+}
@@ -0,0 +1,107 @@
+import { once } from 'events'
+import WebSocket from 'ws'
+import { createRecorder } from './recorder.js'
+
+// ---------------------------------------------------------------------------
+// Scripted Twilio media stream client
+//
+// Sends the frames Twilio sends (connected / start / media / dtmf / mark /
+// stop) and records what the gateway sends back. With `autoMarks` every mark
+// the gateway sends is echoed straight back, as if playback were instant.
+// ---------------------------------------------------------------------------
+
+const SILENCE_FRAME = Buffer.alloc(160, 0xff).toString('base64') // 20ms μ-law
+
+export async function connectFakeTwilio(url, { headers = {}, autoMarks = true } = {}) {
+  const ws = new WebSocket(url, { headers })
+  const received = createRecorder()
+  let sequenceNumber = 0
+  let streamSid = null
+  let startedCallSid = null
+  let mediaTimestamp = 0
+
+  ws.on('message', (raw) => {
+    const frame = JSON.parse(raw.toString())
+    received.push(frame)
+    if (autoMarks && frame.event === 'mark') {
+      sendFrame({ event: 'mark', mark: frame.mark })
+    }
+  })
+
+  const closed = once(ws, 'close').then(([code]) => code)
+
+  // A rejected upgrade surfaces as an 'unexpected-response' / error
+  await new Promise((resolve, reject) => {
+    ws.once('open', resolve)
+    ws.once('unexpected-response', (_, res) =>
+      reject(new Error(`WS upgrade rejected: ${res.statusCode}`))
+    )
+    ws.once('error', reject)
+  })
+
+  function sendFrame(frame) {
+    if (ws.readyState !== WebSocket.OPEN) return
+    ws.send(
+      JSON.stringify({
+        sequenceNumber: String(++sequenceNumber),
+        ...(streamSid ? { streamSid } : {}),
+        ...frame,
+      })
+    )
+  }
+
+  sendFrame({ event: 'connected', protocol: 'Call', version: '1.0.0' })
+
+  return {
+    received,
+    closed,
+
+    waitFor(event, predicate = () => true, opts = {}) {
+      return received.waitFor((f) => f.event === event && predicate(f), {
+        label: `twilio frame ${event}`,
+        ...opts,
+      })
+    },
+
+    start({ callSid = 'CA_test', sid = 'MZ_test', customParameters = {} } = {}) {
+      streamSid = sid
+      startedCallSid = callSid
+      sendFrame({
+        event: 'start',
+        start: {
+          streamSid: sid,
+          callSid,
+          accountSid: 'AC_test',
+          tracks: ['inbound'],
+          customParameters,
+          mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: 8000, channels: 1 },
+        },
+      })
+    },
+
+    media(payload = SILENCE_FRAME) {
+      mediaTimestamp += 20
+      sendFrame({
+        event: 'media',
+        media: { track: 'inbound', timestamp: String(mediaTimestamp), payload },
+      })
+    },
+
+    dtmf(digit) {
+      sendFrame({ event: 'dtmf', dtmf: { track: 'inbound_track', digit: String(digit) } })
+    },
+
+    mark(name) {
+      sendFrame({ event: 'mark', mark: { name } })
+    },
+
+    stop() {
+      sendFrame({ event: 'stop', stop: { accountSid: 'AC_test', callSid: startedCallSid } })
+    },
+
+    close() {
+      ws.close()
+      return closed
+    },
+  }
+}
@@ -0,0 +1,234 @@
+import net from 'net'
+import path from 'path'
+import { spawn } from 'child_process'
+import { fileURLToPath } from 'url'
+import { setTimeout as delay } from 'timers/promises'
+import { startFakeRealtime } from './fakeRealtime.js'
+import { connectFakeTwilio } from './fakeTwilio.js'
+import { startStubEndpoint, startFakeSupabase } from './stubServers.js'
+import { createRecorder } from './recorder.js'
+import { computeTwilioSignature } from '../twilioAuth.js'
+import WebSocket from 'ws'
+
+// ---------------------------------------------------------------------------
+// Runs server.js as a child process wired to local fakes:
+//   - fake Realtime server        (OPENAI_REALTIME_URL)
+//   - fake Supabase REST          (SUPABASE_URL)
+//   - router / items / pickup     (ROUTER_ENDPOINT, ...)
+// and opens authenticated fake Twilio media streams against it.
+// ---------------------------------------------------------------------------
+
+const SERVER_JS = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'server.js')
+
+const AUTH_TOKEN = 'harness-twilio-token'
+const STREAM_SECRET = 'harness-stream-secret'
+export const SUPERVISOR_TOKEN = 'harness-supervisor-token'
+
+// The router / items / locations agents most scenarios run with; startGateway
+// uses them unless `tables` brings its own cl_phone_agents. A fresh copy per
+// call, since tests edit rows in place.
+export function defaultAgents() {
+  return [
+    { slug: 'router', system_prompt: 'ROUTER PROMPT' },
+    { slug: 'items', system_prompt: 'ITEMS PROMPT' },
+    { slug: 'locations', system_prompt: 'LOCATIONS PROMPT' },
+  ]
+}
+
+export const isGreeting = (e) =>
+  e.item?.type === 'message' && e.item.content?.[0]?.text === 'GREETING_TRIGGER'
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer()
+    srv.unref()
+    srv.on('error', reject)
+    srv.listen(0, '127.0.0.1', () => {
+      const { port } = srv.address()
+      srv.close(() => resolve(port))
+    })
+  })
+}
+
+export async function startGateway({ tables = {}, env = {} } = {}) {
+  const realtime = await startFakeRealtime()
+  const supabase = await startFakeSupabase({ cl_phone_agents: defaultAgents(), ...tables })
+  const endpoints = {
+    router: await startStubEndpoint(),
+    items: await startStubEndpoint(),
+    pickup: await startStubEndpoint(),
+  }
+
+  const port = await freePort()
+  const baseUrl = `http://127.0.0.1:${port}`
+  const logs = createRecorder()
+
+  const child = spawn(process.execPath, [SERVER_JS], {
+    cwd: path.dirname(SERVER_JS),
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      OPENAI_API_KEY: 'harness',
+      OPENAI_REALTIME_URL: realtime.url,
+      // only used with REALTIME_PROVIDER=azure
+      AZURE_OPENAI_ENDPOINT: realtime.url.replace(/^ws:/, 'http:'),
+      SUPABASE_URL: supabase.url,
+      SUPABASE_SERVICE_ROLE_KEY: 'harness',
+      ROUTER_ENDPOINT: endpoints.router.url,
+      ITEM_SEARCH_ENDPOINT: endpoints.items.url,
+      PICKUP_ENDPOINT: endpoints.pickup.url,
+      PROMPT_REFRESH_SECRET: 'harness',
+      PUBLIC_BASE_URL: baseUrl,
+      TWILIO_AUTH_TOKEN: AUTH_TOKEN,
+      STREAM_TOKEN_SECRET: STREAM_SECRET,
+      SUPERVISOR_TOKEN,
+      // no Realtime in the fake Supabase; reloads go through /refresh-prompts
+      CONFIG_AUTO_RELOAD: 'false',
+      // keep slow-tool scenarios quick
+      TOOL_TIMEOUT_MS: '500',
+      TOOL_FILLER_DELAY_MS: '100',
+      ...env,
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  })
+
+  for (const stream of [child.stdout, child.stderr]) {
+    let buffered = ''
+    stream.on('data', (chunk) => {
+      buffered += chunk
+      const lines = buffered.split('\n')
+      buffered = lines.pop()
+      for (const line of lines) {
+        logs.push(line)
+        if (process.env.HARNESS_VERBOSE) console.log('[gateway]', line)
+      }
+    })
+  }
+
+  const exited = new Promise((resolve) => child.once('exit', resolve))
+
+  try {
+    await logs.waitFor((l) => l.includes('[server] Listening'), {
+      timeout: 10000,
+      label: 'gateway to listen',
+    })
+  } catch (e) {
+    child.kill()
+    throw new Error(`${e.message}\n${logs.items.join('\n')}`)
+  }
+
+  // Opens a signed media stream and, unless `start: false`, sends `start`
+  // with the <Parameter>s (stream token etc.) from the voice webhook's TwiML.
+  async function connectCall({
+    callSid = `CA_${Math.random().toString(36).slice(2, 10)}`,
+    from = '+15555550100',
+    language = null,
+    start = true,
+    signed = true,
+    autoMarks = true,
+  } = {}) {
+    const wsUrl = `ws://127.0.0.1:${port}/twilio-stream`
+    const headers = signed
+      ? { 'X-Twilio-Signature': computeTwilioSignature(AUTH_TOKEN, wsUrl) }
+      : {}
+
+    const twilio = await connectFakeTwilio(wsUrl, { headers, autoMarks })
+    const customParameters = await fetchStreamParameters(callSid, from, language)
+    const startCall = () => twilio.start({ callSid, customParameters })
+    if (start) startCall()
+
+    return { callSid, twilio, startCall }
+  }
+
+  // Connects a call and returns its Realtime session once the greeting is
+  // requested. Matching on the greeting (rather than connection order) skips
+  // stray sessions from calls an earlier test rejected.
+  async function openCall(opts) {
+    const index = realtime.sessions.items.length
+    const call = await connectCall(opts)
+
+    for (let i = 0; i < 150; i++) {
+      const session = realtime.sessions.items
+        .slice(index)
+        .find((s) => s.received.items.some(isGreeting))
+      if (session) return { ...call, session }
+      await delay(20)
+    }
+    throw new Error('Timed out waiting for a greeted Realtime session')
+  }
+
+  // Supervisor WebSocket client; `received` records every message
+  async function connectSupervisor({ token = SUPERVISOR_TOKEN } = {}) {
+    const ws = new WebSocket(`ws://127.0.0.1:${port}/supervisor`, {
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+    })
+    const received = createRecorder()
+    ws.on('message', (raw) => received.push(JSON.parse(raw.toString())))
+
+    await new Promise((resolve, reject) => {
+      ws.once('open', resolve)
+      ws.once('unexpected-response', (_, res) =>
+        reject(new Error(`WS upgrade rejected: ${res.statusCode}`))
+      )
+      ws.once('error', reject)
+    })
+
+    return {
+      received,
+      send: (msg) => ws.send(JSON.stringify(msg)),
+      waitFor: (type, predicate = () => true) =>
+        received.waitFor((m) => m.type === type && predicate(m), { label: `supervisor ${type}` }),
+      close: () => ws.close(),
+    }
+  }
+
+  // POSTs a signed Twilio webhook and returns the response body (TwiML)
+  async function postTwilio(path, params) {
+    const resp = await fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'X-Twilio-Signature': computeTwilioSignature(AUTH_TOKEN, `${baseUrl}${path}`, params),
+      },
+      body: new URLSearchParams(params).toString(),
+    })
+    return resp.text()
+  }
+
+  // Plays Twilio's part of POST /twilio/voice and returns the stream's
+  // <Parameter> name/value pairs from the TwiML
+  async function fetchStreamParameters(callSid, from, language = null) {
+    const path = language ? `/twilio/voice?language=${language}` : '/twilio/voice'
+    const twiml = await postTwilio(path, { CallSid: callSid, From: from })
+    return Object.fromEntries(
+      [...twiml.matchAll(/<Parameter name="([^"]+)" value="([^"]*)"/g)].map((m) => m.slice(1))
+    )
+  }
+
+  async function stop() {
+    if (child.exitCode === null) child.kill('SIGKILL')
+    await exited
+    await Promise.all([
+      realtime.close(),
+      supabase.close(),
+      ...Object.values(endpoints).map((e) => e.close()),
+    ])
+  }
+
+  return {
+    port,
+    baseUrl,
+    logs,
+    realtime,
+    supabase,
+    endpoints,
+    child,
+    exited,
+    connectCall,
+    openCall,
+    connectSupervisor,
+    fetchStreamParameters,
+    postTwilio,
+    stop,
+  }
+}
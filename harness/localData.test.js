@@ -0,0 +1,73 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startGateway } from './gateway.js'
+import { reply } from './stubServers.js'
+
+let gw
+
+before(async () => {
+  gw = await startGateway({
+    tables: {
+      items: [
+        { product_name: 'Bissli Grill', brand: 'Osem', hechsher: 'OU-P' },
+        { product_name: 'Grape Juice', brand: 'Kedem', hechsher: 'OK' },
+        { product_name: 'Matzah Ball Mix', brand: 'Manischewitz', hechsher: 'OU-P', is_active: false },
+      ],
+      distribution_locations: [
+        { location_name: 'Bais Faiga Hall', town: 'Lakewood', zip: '08701', address: '1 Forest Ave' },
+        { location_name: 'Agudah Center', town: 'Monsey', zip: '10952', address: '5 Main St' },
+      ],
+    },
+    env: { ITEM_SEARCH_ENDPOINT: '' },
+  })
+})
+
+after(() => gw?.stop())
+
+async function lookup(session, intent, name, args) {
+  gw.endpoints.router.setHandler(() => ({ intent, cleaned_question: 'question' }))
+  const route = session.callFunction('determine_route', { message: 'question' })
+  await session.waitFor('conversation.item.create', (e) => e.item.call_id === route.callId)
+
+  const { callId } = session.callFunction(name, args)
+  const output = await session.waitFor('conversation.item.create', (e) => e.item.call_id === callId)
+  return JSON.parse(output.item.output)
+}
+
+test('an unset item endpoint is answered from the snapshot, typos and all', async () => {
+  const { twilio, session } = await gw.openCall()
+
+  const output = await lookup(session, 'items', 'search_items', { query: 'osem bisli gril' })
+  assert.equal(output.fallback, true)
+  assert.equal(output.source, 'local_snapshot')
+  assert.equal(output.reason, 'not_configured')
+  assert.deepEqual(
+    output.items.map((i) => i.product_name),
+    ['Bissli Grill']
+  )
+
+  await twilio.close()
+})
+
+test('a failing pickup endpoint falls back to a zip match', async () => {
+  const { twilio, session } = await gw.openCall()
+
+  gw.endpoints.pickup.setHandler(() => reply(503, { error: 'down' }))
+  const output = await lookup(session, 'pickup', 'search_pickup_locations', {
+    location_query: 'pickup near 08701',
+  })
+  assert.equal(output.fallback, true)
+  assert.equal(output.reason, 'http_error')
+  assert.deepEqual(
+    output.locations.map((l) => l.location_name),
+    ['Bais Faiga Hall']
+  )
+
+  // Nothing close enough: still marked, and reported as not found
+  const none = await lookup(session, 'pickup', 'search_pickup_locations', {
+    location_query: 'Baltimore',
+  })
+  assert.deepEqual([none.fallback, none.found, none.locations], [true, false, []])
+
+  await twilio.close()
+})
@@ -0,0 +1,127 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startGateway } from './gateway.js'
+
+const PINNED = '+15555550777'
+let gw
+
+before(async () => {
+  gw = await startGateway({
+    tables: {
+      cl_phone_agent_prompt_versions: [
+        { agent_slug: 'router', version: 1, system_prompt: 'ROUTER V1', weight: 0, pinned_numbers: [PINNED], is_active: true },
+        { agent_slug: 'router', version: 2, system_prompt: 'ROUTER V2', weight: 100, pinned_numbers: [], is_active: true },
+      ],
+    },
+  })
+})
+
+after(() => gw?.stop())
+
+const admin = { Authorization: 'Bearer harness', 'Content-Type': 'application/json' }
+
+async function assignedVersion(callSid) {
+  const write = await gw.supabase.writes.waitFor(
+    (w) =>
+      w.table === 'cl_phone_calls' &&
+      w.query.call_sid === `eq.${callSid}` &&
+      w.body.prompt_versions,
+    { label: 'prompt_versions on the call' }
+  )
+  return write.body.prompt_versions
+}
+
+test('calls get the weighted version, and it is recorded on the call', async () => {
+  const { twilio, session, callSid } = await gw.openCall()
+
+  await session.waitFor('session.update', (e) => e.session.instructions?.startsWith('ROUTER V2'))
+  assert.deepEqual(await assignedVersion(callSid), { router: 2 })
+
+  await twilio.close()
+})
+
+test('a pinned caller number always gets its version', async () => {
+  const { twilio, session, callSid } = await gw.openCall({ from: PINNED })
+
+  await session.waitFor('session.update', (e) => e.session.instructions?.startsWith('ROUTER V1'))
+  assert.deepEqual(await assignedVersion(callSid), { router: 1 })
+
+  await twilio.close()
+})
+
+test('rollback moves all traffic to one version', async () => {
+  const unauthorized = await fetch(`${gw.baseUrl}/prompt-versions/rollback`, {
+    method: 'POST',
+    body: JSON.stringify({ agent: 'router', version: 1 }),
+  })
+  assert.equal(unauthorized.status, 401)
+
+  const unknown = await fetch(`${gw.baseUrl}/prompt-versions/rollback`, {
+    method: 'POST',
+    headers: admin,
+    body: JSON.stringify({ agent: 'router', version: 9 }),
+  })
+  assert.equal(unknown.status, 400)
+
+  const resp = await fetch(`${gw.baseUrl}/prompt-versions/rollback`, {
+    method: 'POST',
+    headers: admin,
+    body: JSON.stringify({ agent: 'router', version: 1 }),
+  })
+  assert.equal(resp.status, 200)
+
+  const patches = gw.supabase.writes.filter(
+    (w) => w.table === 'cl_phone_agent_prompt_versions' && w.method === 'PATCH'
+  )
+  assert.deepEqual(
+    patches.map((w) => [w.query.version, w.body.weight]),
+    [
+      ['eq.1', 100],
+      ['neq.1', 0],
+    ]
+  )
+})
+
+test('a rollback that fails half-way puts the old weight back', async () => {
+  gw.supabase.failWrites('cl_phone_agent_prompt_versions', (w) => w.query.version === 'neq.1')
+  const before = gw.supabase.writes.items.length
+  try {
+    const resp = await fetch(`${gw.baseUrl}/prompt-versions/rollback`, {
+      method: 'POST',
+      headers: admin,
+      body: JSON.stringify({ agent: 'router', version: 1 }),
+    })
+    assert.equal(resp.status, 400)
+  } finally {
+    gw.supabase.failWrites('cl_phone_agent_prompt_versions', false)
+  }
+
+  const patches = gw.supabase.writes.items
+    .slice(before)
+    .filter((w) => w.table === 'cl_phone_agent_prompt_versions')
+  assert.deepEqual(
+    patches.map((w) => [w.query.version, w.body.weight]),
+    [
+      ['eq.1', 100],
+      ['neq.1', 0],
+      ['eq.1', 0],
+    ]
+  )
+})
+
+test('/refresh-prompts reports prompt version edits', async () => {
+  const { tables } = gw.supabase
+  const before = structuredClone(tables.cl_phone_agent_prompt_versions)
+  const refresh = async () => {
+    const resp = await fetch(`${gw.baseUrl}/refresh-prompts`, { method: 'POST', headers: admin })
+    return (await resp.json()).prompt_versions
+  }
+
+  try {
+    tables.cl_phone_agent_prompt_versions[1].system_prompt = 'ROUTER V2, EDITED'
+    assert.deepEqual(await refresh(), { added: [], removed: [], changed: ['router'] })
+  } finally {
+    tables.cl_phone_agent_prompt_versions = before
+    await refresh()
+  }
+})
@@ -0,0 +1,120 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startGateway } from './gateway.js'
+import { startStubEndpoint } from './stubServers.js'
+
+let gw
+let twilioApi
+
+before(async () => {
+  twilioApi = await startStubEndpoint(() => ({ sid: 'CA_updated' }))
+  gw = await startGateway({
+    env: {
+      MAX_CONCURRENT_CALLS: '1',
+      QUEUE_MAX_WAIT_MS: '300',
+      TWILIO_ACCOUNT_SID: 'AC_harness',
+      TWILIO_API_BASE_URL: twilioApi.url,
+    },
+  })
+})
+
+after(async () => {
+  await gw?.stop()
+  await twilioApi?.close()
+})
+
+async function queueState() {
+  const resp = await fetch(`${gw.baseUrl}/queue`, { headers: { Authorization: 'Bearer harness' } })
+  assert.equal(resp.status, 200)
+  return resp.json()
+}
+
+test('calls over the limit hold, then move onto the stream when a slot frees', async () => {
+  const first = await gw.openCall()
+
+  const hold = await gw.postTwilio('/twilio/voice', { CallSid: 'CA_waiting', From: '+15555550155' })
+  assert.match(hold, /You are next in line/)
+  assert.match(hold, /<Redirect method="POST">[^<]*\/twilio\/queue-wait<\/Redirect>/)
+  assert.doesNotMatch(hold, /<Stream/)
+
+  const waiting = await queueState()
+  assert.equal(waiting.active, 1)
+  assert.deepEqual(
+    waiting.waiting.map((w) => [w.call_sid, w.position]),
+    [['CA_waiting', 1]]
+  )
+
+  assert.match(await gw.postTwilio('/twilio/queue-wait', { CallSid: 'CA_waiting' }), /next in line/)
+
+  first.twilio.stop()
+  await first.twilio.closed
+
+  // Promoted with a call update carrying the stream TwiML
+  const update = await twilioApi.requests.waitFor((r) =>
+    r.url.endsWith('/Accounts/AC_harness/Calls/CA_waiting.json')
+  )
+  const twiml = new URLSearchParams(update.body).get('Twiml')
+  assert.match(twiml, /<Stream url="ws:\/\/[^"]+\/twilio-stream">/)
+  assert.match(twiml, /<Parameter name="from" value="\+15555550155" \/>/)
+
+  const promoted = await queueState()
+  assert.equal(promoted.reserved, 1)
+  assert.deepEqual(promoted.waiting, [])
+
+  // The reserved caller's stream takes the slot
+  const second = await gw.openCall({ callSid: 'CA_waiting', from: '+15555550155' })
+  await gw.logs.waitFor((l) => l.includes('[Twilio] Call started CA_waiting'))
+  assert.equal((await queueState()).active, 1)
+  await second.twilio.close()
+})
+
+test('after the max wait the caller is offered a callback or voicemail', async () => {
+  const busy = await gw.openCall()
+
+  await gw.postTwilio('/twilio/voice', { CallSid: 'CA_patient', From: '+15555550166' })
+  await new Promise((r) => setTimeout(r, 400))
+
+  const offer = await gw.postTwilio('/twilio/queue-wait', { CallSid: 'CA_patient' })
+  assert.match(offer, /<Gather numDigits="1" action="[^"]*\/twilio\/queue-choice"/)
+
+  const callback = await gw.postTwilio('/twilio/queue-choice', {
+    CallSid: 'CA_patient',
+    From: '+15555550166',
+    Digits: '1',
+  })
+  assert.match(callback, /call you back/)
+  const row = await gw.supabase.writes.waitFor(
+    (w) => w.table === 'cl_phone_callbacks' && w.body.call_sid === 'CA_patient'
+  )
+  assert.equal(row.body.phone, '+15555550166')
+  assert.equal(row.body.source, 'queue_timeout')
+
+  // caller ID is stored in the same E.164 form as typed numbers
+  await gw.postTwilio('/twilio/queue-choice', {
+    CallSid: 'CA_local',
+    From: '(555) 555-0199',
+    Digits: '1',
+  })
+  const local = await gw.supabase.writes.waitFor(
+    (w) => w.table === 'cl_phone_callbacks' && w.body.call_sid === 'CA_local'
+  )
+  assert.equal(local.body.phone, '+15555550199')
+
+  // The recording reports to its own action, never back here, where the
+  // key that ended it would read as a menu choice
+  const voicemail = await gw.postTwilio('/twilio/queue-choice', { CallSid: 'CA_patient' })
+  assert.match(voicemail, /<Record [^>]*action="[^"]+\/twilio\/voicemail-done"/)
+
+  // A callback that could not be saved falls back to voicemail
+  gw.supabase.failWrites('cl_phone_callbacks')
+  const unsaved = await gw.postTwilio('/twilio/queue-choice', {
+    CallSid: 'CA_unsaved',
+    From: '+15555550177',
+    Digits: '1',
+  })
+  gw.supabase.failWrites('cl_phone_callbacks', false)
+  assert.doesNotMatch(unsaved, /call you back/)
+  assert.match(unsaved, /<Record /)
+
+  await busy.twilio.close()
+})
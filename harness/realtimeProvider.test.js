@@ -0,0 +1,64 @@
+import { test, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startGateway } from './gateway.js'
+
+const gateways = []
+after(() => Promise.all(gateways.map((gw) => gw.stop())))
+
+async function gateway(env) {
+  const gw = await startGateway({ env })
+  gateways.push(gw)
+  return gw
+}
+
+test('GA provider: GA session schema and GA audio events', async () => {
+  const gw = await gateway({ REALTIME_PROVIDER: 'openai' })
+  const { twilio, session } = await gw.openCall()
+
+  assert.equal(session.headers['openai-beta'], undefined)
+  assert.equal(session.headers.authorization, 'Bearer harness')
+
+  const opening = session.received.items[0].session
+  assert.equal(opening.type, 'realtime')
+  assert.deepEqual(opening.output_modalities, ['audio'])
+  assert.deepEqual(opening.audio.input.format, { type: 'audio/pcmu' })
+  assert.deepEqual(opening.audio.input.turn_detection, { type: 'server_vad' })
+  assert.deepEqual(opening.audio.input.transcription, { model: 'whisper-1' })
+  assert.deepEqual(opening.audio.output.format, { type: 'audio/pcmu' })
+  assert.equal(typeof opening.audio.output.voice, 'string')
+  assert.equal(opening.max_output_tokens, 'inf')
+  assert.equal(opening.temperature, undefined)
+  assert.equal(opening.modalities, undefined)
+
+  // response.output_audio.delta reaches the caller
+  session.respondWithAudio({ text: 'Hello from GA.' })
+  await twilio.waitFor('media')
+  await gw.logs.waitFor((l) => l.includes('Hello from GA.'))
+
+  await twilio.close()
+})
+
+test('Azure provider: deployment URL, api-key header, beta protocol', async () => {
+  const gw = await gateway({
+    REALTIME_PROVIDER: 'azure',
+    AZURE_OPENAI_API_KEY: 'azure-key',
+    AZURE_OPENAI_DEPLOYMENT: 'phone-realtime',
+  })
+  const { twilio, session } = await gw.openCall()
+
+  const url = new URL(session.url, 'http://localhost')
+  assert.equal(url.pathname, '/openai/realtime')
+  assert.equal(url.searchParams.get('deployment'), 'phone-realtime')
+  assert.equal(url.searchParams.get('api-version'), '2024-10-01-preview')
+  assert.equal(session.headers['api-key'], 'azure-key')
+  assert.equal(session.headers.authorization, undefined)
+
+  const opening = session.received.items[0].session
+  assert.equal(opening.input_audio_format, 'g711_ulaw')
+  assert.deepEqual(opening.turn_detection, { type: 'server_vad' })
+
+  session.respondWithAudio({ text: 'Hello from Azure.' })
+  await twilio.waitFor('media')
+
+  await twilio.close()
+})
@@ -0,0 +1,42 @@
+import { EventEmitter } from 'events'
+
+// Append-only list of observed frames / requests that tests can wait on.
+export function createRecorder() {
+  const items = []
+  const emitter = new EventEmitter()
+
+  function push(item) {
+    items.push(item)
+    emitter.emit('item', item)
+  }
+
+  // Resolves with the first recorded item matching `predicate`, waiting for
+  // one to arrive if none has yet.
+  function waitFor(predicate, { timeout = 3000, label = 'item' } = {}) {
+    const found = items.find(predicate)
+    if (found) return Promise.resolve(found)
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        emitter.off('item', onItem)
+        reject(new Error(`Timed out waiting for ${label}`))
+      }, timeout)
+
+      function onItem(item) {
+        if (!predicate(item)) return
+        clearTimeout(timer)
+        emitter.off('item', onItem)
+        resolve(item)
+      }
+
+      emitter.on('item', onItem)
+    })
+  }
+
+  return {
+    items,
+    push,
+    waitFor,
+    filter: (predicate) => items.filter(predicate),
+  }
+}
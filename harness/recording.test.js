@@ -0,0 +1,74 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startGateway, isGreeting } from './gateway.js'
+
+let gw
+
+before(async () => {
+  gw = await startGateway({
+    env: {
+      RECORDING_ENABLED: 'true',
+      RECORDING_CONSENT_NOTICE: 'This call may be recorded.',
+    },
+  })
+})
+
+after(() => gw?.stop())
+
+test('the consent notice is spoken before the greeting', async () => {
+  const { twilio, session } = await gw.openCall()
+
+  const notice = await session.waitFor(
+    'response.create',
+    (e) => e.response?.metadata?.purpose === 'consent'
+  )
+  assert.match(notice.response.instructions, /This call may be recorded\./)
+  assert.equal(notice.response.conversation, 'none')
+
+  // The greeting's response.create follows the notice
+  const greeting = await session.waitFor('response.create', (e) => !e.response)
+  const events = session.received.items
+  assert.ok(events.indexOf(notice) < events.indexOf(greeting))
+  assert.ok(events.findIndex(isGreeting) < events.indexOf(greeting))
+
+  await twilio.close()
+})
+
+test('caller and assistant audio are uploaded as a stereo WAV', async () => {
+  const { twilio, session, callSid } = await gw.openCall()
+
+  // Loud caller frames (μ-law 0x00 is full scale), then a loud reply
+  for (let i = 0; i < 5; i++) twilio.media(Buffer.alloc(160, 0x00).toString('base64'))
+  session.respondWithAudio({ text: 'Hi there.', bytes: 800, fill: 0x00 })
+  await twilio.waitFor('media')
+
+  twilio.stop()
+  await twilio.closed
+
+  const upload = await gw.supabase.uploads.waitFor((u) => u.path === `${callSid}.wav`)
+  assert.equal(upload.bucket, 'call-recordings')
+  assert.equal(upload.contentType, 'audio/wav')
+
+  const wav = upload.body
+  assert.equal(wav.toString('ascii', 0, 4), 'RIFF')
+  assert.equal(wav.readUInt16LE(22), 2) // channels
+  assert.equal(wav.readUInt32LE(24), 8000)
+
+  const frames = (wav.length - 44) / 4
+  let callerLoud = 0
+  let assistantLoud = 0
+  for (let i = 0; i < frames; i++) {
+    if (Math.abs(wav.readInt16LE(44 + i * 4)) > 1000) callerLoud++
+    if (Math.abs(wav.readInt16LE(46 + i * 4)) > 1000) assistantLoud++
+  }
+  assert.equal(callerLoud, 800) // 5 x 20ms frames
+  assert.equal(assistantLoud, 800)
+
+  await gw.supabase.writes.waitFor(
+    (w) =>
+      w.table === 'cl_phone_calls' &&
+      w.method === 'PATCH' &&
+      w.query.call_sid === `eq.${callSid}` &&
+      w.body.recording_path === `${callSid}.wav`
+  )
+})
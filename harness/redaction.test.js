@@ -0,0 +1,87 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startGateway } from './gateway.js'
+
+const SPOKEN = 'My name is Rivka Cohen, call me at 732-555-0188 or rivka@example.org.'
+
+let gw
+
+before(async () => {
+  gw = await startGateway({
+    env: { REDACTION_CALL_SID: 'hash', REDACTION_KEEP_RAW: 'true' },
+  })
+})
+
+after(() => gw?.stop())
+
+test('transcripts and logs are masked; the raw copy is kept when enabled', async () => {
+  const { twilio, session, callSid } = await gw.openCall()
+  session.callerSpeech(SPOKEN)
+
+  const turn = await gw.supabase.writes.waitFor(
+    (w) => w.table === 'cl_phone_call_turns' && w.body.role === 'caller'
+  )
+  assert.equal(turn.body.text, 'My name is [name], call me at [phone] or [email].')
+
+  const raw = await gw.supabase.writes.waitFor((w) => w.table === 'cl_phone_call_turns_raw')
+  assert.equal(raw.body.call_sid, callSid)
+  assert.equal(raw.body.seq, turn.body.seq)
+  assert.equal(raw.body.text, SPOKEN)
+
+  await gw.logs.waitFor((l) => l.startsWith('[Caller]'))
+  assert.ok(gw.logs.items.every((l) => !l.includes('555-0188') && !l.includes('rivka@')))
+
+  await twilio.close()
+})
+
+test('endpoint payloads go through the same policy', async () => {
+  const { twilio, session, callSid } = await gw.openCall()
+
+  gw.endpoints.router.setHandler(() => ({ intent: 'router' }))
+  const { callId } = session.callFunction('determine_route', {
+    message: 'Text me at +17325550188 about pickup',
+    ai_classification: 'pickup',
+  })
+  await session.waitFor('conversation.item.create', (e) => e.item.call_id === callId)
+
+  const request = await gw.endpoints.router.requests.waitFor((r) => r.body.current_agent === 'router')
+  assert.equal(request.body.message, 'Text me at [phone] about pickup')
+  assert.equal(request.body.ai_classification, 'pickup')
+  assert.match(request.body.call_sid, /^h_[0-9a-f]{32}$/)
+  assert.notEqual(request.body.call_sid, callSid)
+
+  const stored = await gw.supabase.writes.waitFor(
+    (w) => w.table === 'cl_phone_call_turns' && w.body.tool_name === 'determine_route'
+  )
+  assert.equal(stored.body.tool_args.message, 'Text me at [phone] about pickup')
+
+  await twilio.close()
+})
+
+test('the org name, order numbers and barcodes are not masked', async () => {
+  const { twilio, session } = await gw.openCall()
+  session.respondWithAudio({ text: 'This is Chasdei Lev, my name is Ava.' })
+  session.callerSpeech('Order 1234567890123, card 4111 1111 1111 1111.')
+
+  const assistant = await gw.supabase.writes.waitFor(
+    (w) => w.table === 'cl_phone_call_turns' && w.body.role === 'assistant'
+  )
+  assert.equal(assistant.body.text, 'This is Chasdei Lev, my name is Ava.')
+  const caller = await gw.supabase.writes.waitFor(
+    (w) => w.table === 'cl_phone_call_turns' && w.body.role === 'caller' && w.body.text.startsWith('Order')
+  )
+  assert.equal(caller.body.text, 'Order 1234567890123, card [card].')
+
+  gw.endpoints.router.setHandler(() => ({ intent: 'items' }))
+  const { callId } = session.callFunction('determine_route', {
+    message: 'Is barcode 0123456789012 kosher?',
+    order_id: '7325550188',
+  })
+  await session.waitFor('conversation.item.create', (e) => e.item.call_id === callId)
+
+  const request = await gw.endpoints.router.requests.waitFor((r) => r.body.order_id)
+  assert.equal(request.body.order_id, '7325550188')
+  assert.equal(request.body.message, 'Is barcode 0123456789012 kosher?')
+
+  await twilio.close()
+})
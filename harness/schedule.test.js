@@ -0,0 +1,83 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startGateway } from './gateway.js'
+import { startStubEndpoint } from './stubServers.js'
+
+let gw
+let twilioApi
+
+before(async () => {
+  twilioApi = await startStubEndpoint(() => ({ sid: 'CA_updated' }))
+  gw = await startGateway({
+    tables: {
+      cl_phone_hours: [{ day_of_week: 0, opens_at: '09:00', closes_at: '17:00', is_active: true }],
+      // Covers "today" whatever the date
+      cl_phone_closures: [
+        { starts_on: '2000-01-01', ends_on: '2999-12-31', name: 'Harness Day', is_active: true },
+      ],
+      cl_phone_announcements: [
+        { message: 'The warehouse is flooded; pickups are paused.', urgent: true, is_active: true },
+        { message: 'New locations open next month.', urgent: false, is_active: true },
+        { message: 'Old news.', urgent: true, is_active: true, ends_at: '2001-01-01T00:00:00Z' },
+      ],
+    },
+    env: {
+      ORG_TIMEZONE: 'America/New_York',
+      TRANSFER_STAFF_NUMBER: '+15555550100',
+      TWILIO_ACCOUNT_SID: 'AC_harness',
+      TWILIO_API_BASE_URL: twilioApi.url,
+    },
+  })
+})
+
+after(async () => {
+  await gw?.stop()
+  await twilioApi?.close()
+})
+
+test('the router prompt carries the office status and announcements', async () => {
+  const { twilio, session } = await gw.openCall()
+
+  const instructions = session.received.items[0].session.instructions
+  assert.match(instructions, /^ROUTER PROMPT/)
+  assert.match(instructions, /The office is closed today for Harness Day\./)
+  assert.match(instructions, /offer voicemail instead of a person/)
+  assert.match(instructions, /- New locations open next month\./)
+  assert.doesNotMatch(instructions, /Old news/)
+
+  // Urgent announcements are read once, right after the greeting
+  const announcement = await session.waitFor(
+    'response.create',
+    (e) => e.response?.metadata?.purpose === 'announcement'
+  )
+  assert.match(announcement.response.instructions, /warehouse is flooded/)
+  assert.doesNotMatch(announcement.response.instructions, /New locations|Old news/)
+
+  // Other agents don't get the status block
+  gw.endpoints.router.setHandler(() => ({ intent: 'items', cleaned_question: 'Kosher candy?' }))
+  session.callFunction('determine_route', { message: 'Kosher candy?' })
+  const items = await session.waitFor('session.update', (e) =>
+    e.session.instructions?.startsWith('ITEMS PROMPT')
+  )
+  assert.doesNotMatch(items.session.instructions, /Office status/)
+
+  await twilio.close()
+})
+
+test('transfers go to voicemail while the office is closed', async () => {
+  const { twilio, session } = await gw.openCall()
+
+  session.callFunction('transfer_to_human', { reason: 'caller asked' })
+  const output = await session.waitFor(
+    'conversation.item.create',
+    (e) => e.item?.type === 'function_call_output'
+  )
+  assert.equal(JSON.parse(output.item.output).target, 'voicemail')
+
+  const update = await twilioApi.requests.waitFor((r) => r.url.includes('/Calls/'))
+  const twiml = new URLSearchParams(update.body).get('Twiml')
+  assert.match(twiml, /<Record /)
+  assert.doesNotMatch(twiml, /<Dial/)
+
+  await twilio.close()
+})
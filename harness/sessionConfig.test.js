@@ -0,0 +1,123 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startGateway } from './gateway.js'
+
+let gw
+
+before(async () => {
+  gw = await startGateway({
+    tables: {
+      cl_phone_agents: [
+        {
+          slug: 'router',
+          system_prompt: 'ROUTER PROMPT',
+          session_config: { model: 'gpt-realtime-harness', voice: 'marin', temperature: 0.7 },
+        },
+        {
+          slug: 'items',
+          system_prompt: 'ITEMS PROMPT',
+          session_config: {
+            voice: 'sage',
+            silence_duration_ms: 1200,
+            prefix_padding_ms: 500,
+            max_output_tokens: 400,
+            input_transcription: false,
+          },
+        },
+        {
+          slug: 'locations',
+          system_prompt: 'LOCATIONS PROMPT',
+          session_config: { temperature: 3, vad_type: 'semantic_vad', vad_eagerness: 'extreme' },
+        },
+      ],
+    },
+    env: { VOICE_YI: 'ash' },
+  })
+})
+
+after(() => gw?.stop())
+
+test("each agent's session_config is applied when it takes over", async () => {
+  const { twilio, session } = await gw.openCall()
+
+  assert.match(session.url, /model=gpt-realtime-harness/)
+  const opening = session.received.items[0].session
+  assert.equal(opening.voice, 'marin')
+  assert.equal(opening.temperature, 0.7)
+  assert.deepEqual(opening.turn_detection, { type: 'server_vad' })
+  assert.deepEqual(opening.input_audio_transcription, { model: 'whisper-1' })
+
+  gw.endpoints.router.setHandler(() => ({ intent: 'items', cleaned_question: 'Kosher candy?' }))
+  session.callFunction('determine_route', { message: 'Kosher candy?' })
+  const items = await session.waitFor('session.update', (e) =>
+    e.session.instructions?.startsWith('ITEMS PROMPT')
+  )
+  assert.equal(items.session.voice, 'sage')
+  assert.deepEqual(items.session.turn_detection, {
+    type: 'server_vad',
+    silence_duration_ms: 1200,
+    prefix_padding_ms: 500,
+  })
+  assert.equal(items.session.max_response_output_tokens, 400)
+  assert.equal(items.session.input_audio_transcription, null)
+  assert.equal(items.session.temperature, 0.8)
+
+  // Once audio has played the voice stays, but the rest switches back
+  session.respondWithAudio({ text: 'Let me look.' })
+  await twilio.waitFor('media')
+  session.callFunction('handoff_to_router', { question: 'Pickup?' })
+  const router = await session.waitFor(
+    'session.update',
+    // (skipping the opening update, which has modalities)
+    (e) =>
+      e.session.instructions?.startsWith('ROUTER PROMPT') &&
+      e.session.tools &&
+      !e.session.modalities
+  )
+  assert.equal(router.session.voice, undefined)
+  assert.deepEqual(router.session.turn_detection, { type: 'server_vad' })
+  assert.equal(router.session.max_response_output_tokens, 'inf')
+  assert.deepEqual(router.session.input_audio_transcription, { model: 'whisper-1' })
+
+  await twilio.close()
+})
+
+test('out-of-range settings are clamped instead of sinking the session.update', async () => {
+  const { twilio, session } = await gw.openCall()
+
+  gw.endpoints.router.setHandler(() => ({ intent: 'locations', cleaned_question: 'Pickup?' }))
+  session.callFunction('determine_route', { message: 'Pickup?' })
+  const locations = await session.waitFor('session.update', (e) =>
+    e.session.instructions?.startsWith('LOCATIONS PROMPT')
+  )
+  assert.equal(locations.session.temperature, 1.2)
+  assert.deepEqual(locations.session.turn_detection, { type: 'semantic_vad' })
+  assert.ok(locations.session.tools.length)
+
+  await twilio.close()
+})
+
+test('/refresh-prompts reports session_config edits', async () => {
+  const refresh = async () => {
+    const resp = await fetch(`${gw.baseUrl}/refresh-prompts`, {
+      method: 'POST',
+      headers: { Authorization: 'Bearer harness' },
+    })
+    return (await resp.json()).agents
+  }
+
+  const items = gw.supabase.tables.cl_phone_agents[1]
+  items.session_config = { ...items.session_config, silence_duration_ms: 800 }
+  assert.deepEqual((await refresh()).changed, ['items'])
+  assert.deepEqual((await refresh()).changed, [])
+})
+
+test("the agent's own voice wins over the language's", async () => {
+  const { twilio, session } = await gw.openCall({ language: 'yi' })
+
+  const update = session.received.items.findLast((e) => e.type === 'session.update')
+  assert.match(update.session.instructions, /Always answer in Yiddish/)
+  assert.equal(update.session.voice, 'marin')
+
+  await twilio.close()
+})
@@ -0,0 +1,105 @@
+import { test, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startGateway, defaultAgents } from './gateway.js'
+import { startStubEndpoint } from './stubServers.js'
+
+const gateways = []
+after(() => Promise.all(gateways.map((gw) => gw.stop())))
+
+async function start(opts) {
+  const gw = await startGateway(opts)
+  gateways.push(gw)
+  return gw
+}
+
+test('/healthz is always ok; /readyz fails while a prompt is missing', async () => {
+  const gw = await start({
+    tables: { cl_phone_agents: defaultAgents().filter((a) => a.slug !== 'locations') },
+  })
+
+  assert.equal((await fetch(`${gw.baseUrl}/healthz`)).status, 200)
+
+  const ready = await fetch(`${gw.baseUrl}/readyz`)
+  assert.equal(ready.status, 503)
+  assert.match(await ready.text(), /missing prompts: locations/)
+})
+
+test('SIGTERM refuses new calls, then says goodbye to live ones at the deadline', async () => {
+  const gw = await start({ env: { SHUTDOWN_DEADLINE_MS: '300' } })
+  assert.equal((await fetch(`${gw.baseUrl}/readyz`)).status, 200)
+
+  const { twilio, session, callSid } = await gw.openCall()
+  // mid-answer when the deadline hits
+  const answer = session.respondWithAudio({ text: 'Our hours are', done: false })
+  await twilio.waitFor('media')
+  gw.realtime.setAutoRespond(false)
+
+  gw.child.kill('SIGTERM')
+  await gw.logs.waitFor((l) => l.includes('[Shutdown] SIGTERM'))
+
+  assert.equal((await fetch(`${gw.baseUrl}/readyz`)).status, 503)
+  await assert.rejects(gw.connectCall(), /503/)
+
+  await session.waitFor('response.cancel')
+  await twilio.waitFor('clear')
+  session.send({ type: 'response.done', response: { id: answer.responseId } })
+
+  const goodbye = await session.waitFor(
+    'response.create',
+    (e) => e.response?.metadata?.purpose === 'goodbye'
+  )
+  assert.match(goodbye.response.instructions, /Please call us back/)
+  session.respondWithAudio({ text: 'Goodbye.', metadata: { purpose: 'goodbye' } })
+
+  await twilio.closed
+  assert.equal(await gw.exited, 0)
+
+  // the goodbye is the call's last turn, stored before the call is closed
+  const writes = gw.supabase.writes.items
+  const goodbyeTurn = writes.findIndex(
+    (w) => w.table === 'cl_phone_call_turns' && w.body?.text === 'Goodbye.'
+  )
+  const closed = writes.findIndex(
+    (w) => w.table === 'cl_phone_calls' && w.body?.end_reason === 'shutdown'
+  )
+  assert.notEqual(goodbyeTurn, -1)
+  assert.ok(closed > goodbyeTurn)
+  assert.equal(writes[closed].query.call_sid, `eq.${callSid}`)
+})
+
+test('queued callers are offered a callback or voicemail instead of a stream while draining', async () => {
+  const twilioApi = await startStubEndpoint(() => ({ sid: 'CA_updated' }))
+  try {
+    const gw = await start({
+      env: {
+        SHUTDOWN_DEADLINE_MS: '5000',
+        MAX_CONCURRENT_CALLS: '1',
+        TWILIO_ACCOUNT_SID: 'AC_harness',
+        TWILIO_API_BASE_URL: twilioApi.url,
+      },
+    })
+    const live = await gw.openCall()
+    const hold = await gw.postTwilio('/twilio/voice', { CallSid: 'CA_queued', From: '+15555550188' })
+    assert.match(hold, /You are next in line/)
+
+    gw.child.kill('SIGTERM')
+    const update = await twilioApi.requests.waitFor((r) => r.url.endsWith('/Calls/CA_queued.json'))
+    const twiml = new URLSearchParams(update.body).get('Twiml')
+    assert.match(twiml, /<Gather numDigits="1" action="[^"]*\/twilio\/queue-choice"/)
+
+    // a hold segment that was already playing comes back to the offer too
+    const wait = await gw.postTwilio('/twilio/queue-wait', { CallSid: 'CA_queued' })
+    assert.match(wait, /\/twilio\/queue-choice/)
+    assert.doesNotMatch(wait, /<Stream/)
+
+    // the slot the live call frees goes to nobody
+    await live.twilio.close()
+    assert.equal(await gw.exited, 0)
+    const streams = twilioApi.requests.filter((r) =>
+      /<Stream/.test(new URLSearchParams(r.body).get('Twiml') || '')
+    )
+    assert.equal(streams.length, 0)
+  } finally {
+    await twilioApi.close()
+  }
+})
@@ -0,0 +1,168 @@
+import http from 'http'
+import { once } from 'events'
+import { createRecorder } from './recorder.js'
+
+function readJson(req) {
+  return new Promise((resolve) => {
+    let body = ''
+    req.on('data', (chunk) => (body += chunk))
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : null)
+      } catch {
+        resolve(body)
+      }
+    })
+  })
+}
+
+async function listen(server) {
+  server.listen(0, '127.0.0.1')
+  await once(server, 'listening')
+  return `http://127.0.0.1:${server.address().port}`
+}
+
+function closeServer(server) {
+  server.closeAllConnections?.()
+  return new Promise((resolve) => server.close(() => resolve()))
+}
+
+// ---------------------------------------------------------------------------
+// Tool endpoint stub (ROUTER_ENDPOINT, ITEM_SEARCH_ENDPOINT, PICKUP_ENDPOINT)
+//
+// `handler(body)` returns the JSON to answer with, or reply(...) for errors
+// and slow responses. Replace it per test with setHandler().
+// ---------------------------------------------------------------------------
+
+const SCRIPTED = Symbol('scripted reply')
+
+export function reply(status, body = {}, { delayMs = 0 } = {}) {
+  return { [SCRIPTED]: true, status, body, delayMs }
+}
+
+export async function startStubEndpoint(handler = () => ({})) {
+  const requests = createRecorder()
+
+  const server = http.createServer(async (req, res) => {
+    const body = await readJson(req)
+    requests.push({ method: req.method, url: req.url, body })
+
+    const result = (await handler(body)) ?? {}
+    const { status, body: payload, delayMs } = result[SCRIPTED]
+      ? result
+      : reply(200, result)
+
+    if (delayMs) await new Promise((r) => setTimeout(r, delayMs))
+    if (res.destroyed) return
+
+    res.writeHead(status, { 'Content-Type': 'application/json' })
+    res.end(JSON.stringify(payload))
+  })
+
+  const url = await listen(server)
+
+  return {
+    url,
+    requests,
+    setHandler(next) {
+      handler = next
+    },
+    close: () => closeServer(server),
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Fake Supabase (PostgREST subset)
+//
+// GET /rest/v1/<table> returns `tables[table]` (filters are ignored);
+// POST / PATCH are recorded in `writes` and acknowledged. A PATCH asking for
+// `return=representation` (update().select()) also applies to the rows of
+// `tables[table]` matching its eq / in filters and returns them. Storage uploads
+// (POST /storage/v1/object/<bucket>/<path>) are recorded in `uploads`.
+// ---------------------------------------------------------------------------
+
+// Only eq.<v> and in.(<a>,<b>) filters; other params are ignored
+function matchesFilters(row, params) {
+  for (const [column, filter] of params) {
+    if (['select', 'order', 'limit'].includes(column)) continue
+    const value = String(row[column])
+    if (filter.startsWith('eq.') && value !== filter.slice(3)) return false
+    if (filter.startsWith('in.(') && !filter.slice(4, -1).split(',').includes(value)) return false
+  }
+  return true
+}
+
+export async function startFakeSupabase(tables = {}) {
+  const writes = createRecorder()
+  const uploads = createRecorder()
+  // table -> true or (write) => boolean: writes that answer 500 (failWrites)
+  const failing = new Map()
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost')
+
+    const upload = url.pathname.match(/^\/storage\/v1\/object\/([\w-]+)\/(.+)$/)
+    if (upload && req.method === 'POST') {
+      const chunks = []
+      for await (const chunk of req) chunks.push(chunk)
+      uploads.push({
+        bucket: upload[1],
+        path: decodeURIComponent(upload[2]),
+        contentType: req.headers['content-type'],
+        body: Buffer.concat(chunks),
+      })
+      res.writeHead(200, { 'Content-Type': 'application/json' })
+      return res.end(JSON.stringify({ Key: `${upload[1]}/${upload[2]}` }))
+    }
+    const match = url.pathname.match(/^\/rest\/v1\/([\w-]+)$/)
+
+    if (!match) {
+      res.writeHead(404, { 'Content-Type': 'application/json' })
+      return res.end(JSON.stringify({ message: 'not found' }))
+    }
+
+    const table = match[1]
+
+    if (req.method === 'GET' || req.method === 'HEAD') {
+      res.writeHead(200, { 'Content-Type': 'application/json' })
+      return res.end(JSON.stringify(tables[table] || []))
+    }
+
+    const body = await readJson(req)
+    const write = {
+      method: req.method,
+      table,
+      query: Object.fromEntries(url.searchParams),
+      body,
+    }
+    writes.push(write)
+
+    const failWhen = failing.get(table)
+    if (failWhen === true || (typeof failWhen === 'function' && failWhen(write))) {
+      res.writeHead(500, { 'Content-Type': 'application/json' })
+      return res.end(JSON.stringify({ message: `scripted failure writing ${table}` }))
+    }
+
+    if (req.method === 'PATCH' && /return=representation/.test(req.headers['prefer'] || '')) {
+      const rows = (tables[table] || []).filter((row) => matchesFilters(row, url.searchParams))
+      for (const row of rows) Object.assign(row, body)
+      res.writeHead(200, { 'Content-Type': 'application/json' })
+      return res.end(JSON.stringify(rows))
+    }
+
+    res.writeHead(req.method === 'POST' ? 201 : 204)
+    res.end()
+  })
+
+  const url = await listen(server)
+
+  return {
+    url,
+    tables,
+    writes,
+    uploads,
+    // when: true, false (stop failing) or a predicate over the write
+    failWrites: (table, when = true) => (when ? failing.set(table, when) : failing.delete(table)),
+    close: () => closeServer(server),
+  }
+}
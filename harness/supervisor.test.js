@@ -0,0 +1,81 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startGateway } from './gateway.js'
+
+let gw
+
+before(async () => {
+  gw = await startGateway()
+})
+
+after(() => gw?.stop())
+
+test('supervisor connections need the token', async () => {
+  await assert.rejects(gw.connectSupervisor({ token: null }), /401/)
+  await assert.rejects(gw.connectSupervisor({ token: 'wrong' }), /401/)
+})
+
+test('a supervisor sees live calls and their turns, audio included', async () => {
+  const supervisor = await gw.connectSupervisor()
+  const { twilio, session, callSid } = await gw.openCall({ from: '+15555550142' })
+
+  const started = await supervisor.waitFor('call_started', (m) => m.call.callSid === callSid)
+  assert.equal(started.call.from, '+15555550142')
+  assert.equal(started.call.agent, 'router')
+
+  supervisor.send({ type: 'list' })
+  await supervisor.waitFor('calls', (m) => m.calls.some((c) => c.callSid === callSid))
+
+  supervisor.send({ type: 'subscribe', callSid, audio: true })
+  await supervisor.waitFor('ack', (m) => m.action === 'subscribe')
+
+  session.callerSpeech('Where is pickup?')
+  const turn = await supervisor.waitFor('turn', (m) => m.role === 'caller')
+  assert.equal(turn.text, 'Where is pickup?')
+
+  session.respondWithAudio({ text: 'Let me check.' })
+  await supervisor.waitFor('audio', (m) => m.track === 'assistant' && m.callSid === callSid)
+  await supervisor.waitFor('turn', (m) => m.role === 'assistant' && m.text === 'Let me check.')
+
+  twilio.media()
+  await supervisor.waitFor('audio', (m) => m.track === 'caller')
+
+  twilio.stop()
+  await supervisor.waitFor('call_ended', (m) => m.call.callSid === callSid)
+  supervisor.close()
+})
+
+test('a supervisor can whisper, force a handoff, and gets errors for bad requests', async () => {
+  const supervisor = await gw.connectSupervisor()
+  const { twilio, session, callSid } = await gw.openCall()
+
+  supervisor.send({ type: 'whisper', callSid, text: 'Offer the Monsey location.' })
+  const whisper = await session.waitFor(
+    'conversation.item.create',
+    (e) => e.item.role === 'system'
+  )
+  assert.match(whisper.item.content[0].text, /Offer the Monsey location\./)
+  await supervisor.waitFor('ack', (m) => m.action === 'whisper')
+
+  supervisor.send({ type: 'handoff', callSid, agent: 'locations' })
+  await session.waitFor('session.update', (e) =>
+    e.session.instructions?.startsWith('LOCATIONS PROMPT')
+  )
+  await supervisor.waitFor('ack', (m) => m.action === 'handoff')
+
+  supervisor.send({ type: 'handoff', callSid, agent: 'nobody' })
+  const unknownAgent = await supervisor.waitFor('error', (m) => m.action === 'handoff')
+  assert.equal(unknownAgent.message, 'unknown agent')
+
+  supervisor.send({ type: 'whisper', callSid: 'CA_missing', text: 'hi' })
+  const unknownCall = await supervisor.waitFor('error', (m) => m.action === 'whisper')
+  assert.equal(unknownCall.message, 'unknown callSid')
+
+  for (const value of [null, 42]) supervisor.send(value)
+  await supervisor.waitFor('error', (m) => m.message === 'expected a JSON object')
+  supervisor.send({ type: 'list' })
+  await supervisor.waitFor('calls', (m) => m.calls.some((c) => c.callSid === callSid))
+
+  await twilio.close()
+  supervisor.close()
+})
@@ -0,0 +1,93 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startGateway } from './gateway.js'
+import { startStubEndpoint } from './stubServers.js'
+
+let gw
+let twilioApi
+
+before(async () => {
+  twilioApi = await startStubEndpoint(() => ({ sid: 'CA_updated' }))
+  gw = await startGateway({
+    env: {
+      TRANSFER_STAFF_NUMBER: '+15555550100',
+      TWILIO_ACCOUNT_SID: 'AC_harness',
+      TWILIO_API_BASE_URL: twilioApi.url,
+    },
+  })
+})
+
+after(async () => {
+  await gw?.stop()
+  await twilioApi?.close()
+})
+
+test('staff transfers dial out, and voicemail only follows an unanswered dial', async () => {
+  const { twilio, session, callSid } = await gw.openCall()
+
+  session.callFunction('transfer_to_human', { reason: 'caller asked' })
+  const output = await session.waitFor(
+    'conversation.item.create',
+    (e) => e.item?.type === 'function_call_output'
+  )
+  assert.equal(JSON.parse(output.item.output).target, 'staff')
+
+  const update = await twilioApi.requests.waitFor((r) => r.url.includes(`/Calls/${callSid}`))
+  const twiml = new URLSearchParams(update.body).get('Twiml')
+  assert.match(
+    twiml,
+    /<Dial timeout="25" action="[^"]+\/twilio\/transfer-status">\+15555550100<\/Dial>/
+  )
+  assert.doesNotMatch(twiml, /<Record /)
+
+  const answered = await gw.postTwilio('/twilio/transfer-status', {
+    CallSid: callSid,
+    DialCallStatus: 'completed',
+  })
+  assert.match(answered, /<Hangup \/>/)
+  assert.doesNotMatch(answered, /<Record /)
+
+  const unanswered = await gw.postTwilio('/twilio/transfer-status', {
+    CallSid: callSid,
+    DialCallStatus: 'no-answer',
+  })
+  assert.match(unanswered, /<Record [^>]*action="[^"]+\/twilio\/voicemail-done"/)
+
+  await twilio.close()
+})
+
+test('the recorded voicemail is saved on the call and the caller is hung up', async () => {
+  const done = await gw.postTwilio('/twilio/voicemail-done', {
+    CallSid: 'CA_voicemail',
+    RecordingUrl: 'https://api.twilio.com/recordings/RE123',
+    RecordingDuration: '14',
+    // the key that ended the recording
+    Digits: '1',
+  })
+  assert.match(done, /<Hangup \/>/)
+  assert.doesNotMatch(done, /<Record /)
+
+  const saved = await gw.supabase.writes.waitFor(
+    (w) => w.table === 'cl_phone_calls' && w.body?.voicemail_url
+  )
+  assert.deepEqual(saved.body, {
+    call_sid: 'CA_voicemail',
+    voicemail_url: 'https://api.twilio.com/recordings/RE123',
+    voicemail_seconds: 14,
+  })
+})
+
+test('transfer reasons are masked before they are stored on the call', async () => {
+  const { twilio, session, callSid } = await gw.openCall()
+
+  session.callFunction('transfer_to_human', { reason: 'Rivka at 732-555-0188 wants staff' })
+  const update = await gw.supabase.writes.waitFor(
+    (w) =>
+      w.table === 'cl_phone_calls' &&
+      w.query.call_sid === `eq.${callSid}` &&
+      w.body?.transfer_reason
+  )
+  assert.equal(update.body.transfer_reason, 'Rivka at [phone] wants staff')
+
+  await twilio.close()
+})
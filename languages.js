@@ -0,0 +1,73 @@
+// ---------------------------------------------------------------------------
+// Caller languages
+//
+// A call's language comes from (first match wins):
+//   1. a `language` <Parameter> on the stream (e.g. /twilio/voice?language=yi
+//      for a dedicated Yiddish number)
+//   2. a keypad press (LANGUAGE_KEYS, default "6=en,7=yi,8=he,9=es")
+//   3. detection on the caller's first transcribed turn
+//
+// Voices: the agent's own voice (session_config.voice), else VOICE_<CODE>
+// (e.g. VOICE_YI), else DEFAULT_VOICE. The Realtime API fixes the voice once
+// the greeting has played, so only the entry language (1.) picks it; a
+// keypad press or detection changes the prompt but not the voice.
+// ---------------------------------------------------------------------------
+
+export const DEFAULT_LANGUAGE = 'en'
+export const DEFAULT_VOICE = process.env.DEFAULT_VOICE || 'cedar'
+
+export const LANGUAGES = {
+  en: { name: 'English' },
+  yi: { name: 'Yiddish' },
+  he: { name: 'Hebrew' },
+  es: { name: 'Spanish' },
+}
+
+export function normalizeLanguage(code) {
+  const short = String(code || '').toLowerCase().slice(0, 2)
+  return LANGUAGES[short] ? short : null
+}
+
+export function languageName(code) {
+  return LANGUAGES[code]?.name || LANGUAGES[DEFAULT_LANGUAGE].name
+}
+
+// `agentVoice` (session_config.voice) wins over the language's voice
+export function voiceFor(code, agentVoice = null) {
+  return agentVoice || process.env[`VOICE_${String(code).toUpperCase()}`] || DEFAULT_VOICE
+}
+
+// digit -> language code
+export function languageKeys() {
+  const spec = process.env.LANGUAGE_KEYS ?? '6=en,7=yi,8=he,9=es'
+  const keys = new Map()
+  for (const pair of spec.split(',')) {
+    const [digit, code] = pair.split('=').map((s) => s?.trim())
+    if (digit && normalizeLanguage(code)) keys.set(digit, normalizeLanguage(code))
+  }
+  return keys
+}
+
+// Markers that separate Yiddish from Hebrew (both use Hebrew script)
+// (\b is ASCII-only, hence the \p{L} lookarounds)
+const YIDDISH_HINTS =
+  /[װ-ײײַ]|(?<!\p{L})(?:איך|ביטע|וואס|וואו|ווען|נישט|ניט|איז|מיר|דאס|האב|קען|וויל|פון|מיט|אונז)(?!\p{L})/u
+const SPANISH_HINTS =
+  /[¿¡ñ]|\b(?:hola|quiero|necesito|dónde|donde|cuándo|cuando|gracias|por favor|buenos|buenas|habla|español|recoger|comida)\b/iu
+
+// Best guess at the language of one transcribed utterance, or null when the
+// text is too short to tell.
+export function detectLanguage(text) {
+  const t = String(text || '').trim()
+  if (t.length < 2) return null
+
+  const hebrewChars = (t.match(/[֐-׿יִ-ﭏ]/gu) || []).length
+  const letters = (t.match(/\p{L}/gu) || []).length
+  if (!letters) return null
+
+  if (hebrewChars / letters > 0.5) {
+    return YIDDISH_HINTS.test(t) ? 'yi' : 'he'
+  }
+  if (SPANISH_HINTS.test(t)) return 'es'
+  return 'en'
+}
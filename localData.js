@@ -0,0 +1,207 @@
+import { supabase } from './supabaseClient.js'
+
+// ---------------------------------------------------------------------------
+// Local snapshot of the items and distribution-location tables
+//
+//   LOCAL_DATA_MODE          'fallback' (default): answer locally when the
+//                            tool endpoint is unset or failing
+//                            'cache': answer locally first when the snapshot
+//                            has matches, the endpoint otherwise
+//                            'off': no snapshot
+//   LOCAL_DATA_REFRESH_MS    snapshot refresh interval (default 15 minutes)
+//   LOCAL_ITEMS_TABLE        default 'items'
+//   LOCAL_LOCATIONS_TABLE    default 'distribution_locations'
+//
+// Tools opt in with `fallback: 'items' | 'locations'` (see agents.js). The
+// search is fuzzy (prefixes, small typos) over product name, brand and
+// hechsher for items, and town, zip, name and address for locations.
+// Answers carry `fallback: true` and `source: 'local_snapshot'` so the model
+// (and the call log) can tell them from endpoint answers.
+// ---------------------------------------------------------------------------
+
+const PAGE_SIZE = 1000
+const MAX_RESULTS = 5
+// Share of the query words that must match for a row to be returned
+const MIN_SCORE = 0.5
+
+const DATASETS = {
+  items: {
+    table: () => process.env.LOCAL_ITEMS_TABLE || 'items',
+    arg: 'query',
+    fields: ['product_name', 'name', 'brand', 'hechsher', 'kashrus'],
+  },
+  locations: {
+    table: () => process.env.LOCAL_LOCATIONS_TABLE || 'distribution_locations',
+    arg: 'location_query',
+    fields: ['town', 'city', 'zip', 'location_name', 'name', 'address'],
+  },
+}
+
+// Words that say nothing about which row is meant
+const STOPWORDS = new Set(
+  (
+    'a an and are at by can do does for from i in is it me my of on or the there this to ' +
+    'what when where which who with you your kosher pickup pick up location locations item items'
+  ).split(' ')
+)
+
+// dataset -> { rows: [{ row, tokens }], loadedAt }
+const SNAPSHOTS = new Map()
+
+export function localDataMode() {
+  const mode = process.env.LOCAL_DATA_MODE || 'fallback'
+  return ['fallback', 'cache', 'off'].includes(mode) ? mode : 'fallback'
+}
+
+function words(text) {
+  return String(text ?? '')
+    .toLowerCase()
+    .split(/[^a-z0-9\u0590-\u05ff]+/)
+    .filter(Boolean)
+}
+
+// Row words plus each field squashed ("Star-K" -> "stark", "OU-P" -> "oup")
+function indexRow(row, fields) {
+  const tokens = new Set()
+  for (const field of fields) {
+    if (row[field] == null) continue
+    const fieldWords = words(row[field])
+    for (const w of fieldWords) tokens.add(w)
+    if (fieldWords.length > 1) tokens.add(fieldWords.join(''))
+  }
+  return { row, tokens: [...tokens] }
+}
+
+async function loadTable(table) {
+  const rows = []
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from(table)
+      .select('*')
+      .range(from, from + PAGE_SIZE - 1)
+    if (error) throw new Error(`${table}: ${error.message || error}`)
+    rows.push(...(data || []))
+    if (!data || data.length < PAGE_SIZE) return rows
+  }
+}
+
+export async function refreshLocalData() {
+  if (localDataMode() === 'off') return
+
+  for (const [name, dataset] of Object.entries(DATASETS)) {
+    try {
+      const rows = (await loadTable(dataset.table())).filter((r) => r.is_active !== false)
+      // an empty snapshot can't answer anything; let the tool error through
+      if (!rows.length) {
+        SNAPSHOTS.delete(name)
+        console.warn('[LocalData] No rows in', dataset.table(), '– no local', name)
+        continue
+      }
+      SNAPSHOTS.set(name, {
+        rows: rows.map((row) => indexRow(row, dataset.fields)),
+        loadedAt: Date.now(),
+      })
+      console.log('[LocalData] Loaded', rows.length, name)
+    } catch (e) {
+      // keep serving the previous snapshot
+      console.error('[LocalData] Refresh failed for', name, e?.message || e)
+    }
+  }
+}
+
+export function startLocalDataRefresh() {
+  if (localDataMode() === 'off') return Promise.resolve()
+
+  const every = Number(process.env.LOCAL_DATA_REFRESH_MS) || 15 * 60 * 1000
+  setInterval(refreshLocalData, every).unref()
+  return refreshLocalData()
+}
+
+// ---------------------------------------------------------------------------
+// Fuzzy search
+// ---------------------------------------------------------------------------
+
+// Levenshtein distance, giving up once it exceeds `max`
+function withinEdits(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return false
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i)
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i]
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1))
+    }
+    if (Math.min(...cur) > max) return false
+    prev = cur
+  }
+  return prev[b.length] <= max
+}
+
+function wordScore(word, tokens) {
+  let best = 0
+  for (const t of tokens) {
+    if (t === word) return 1
+    // numbers (zips) only match exactly
+    if (/^\d+$/.test(word)) continue
+    if (word.length >= 3 && t.startsWith(word)) best = Math.max(best, 0.8)
+    else if (word.length >= 4 && withinEdits(word, t, word.length >= 7 ? 2 : 1)) {
+      best = Math.max(best, 0.6)
+    }
+  }
+  return best
+}
+
+// Best matches as plain rows, or null when there is no snapshot yet
+export function searchLocal(dataset, query) {
+  const snapshot = SNAPSHOTS.get(dataset)
+  if (!snapshot) return null
+
+  const queryWords = words(query).filter((w) => !STOPWORDS.has(w))
+  if (!queryWords.length) return []
+
+  return snapshot.rows
+    .map(({ row, tokens }) => ({
+      row,
+      score: queryWords.reduce((sum, w) => sum + wordScore(w, tokens), 0) / queryWords.length,
+    }))
+    .filter((m) => m.score >= MIN_SCORE)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_RESULTS)
+    .map((m) => m.row)
+}
+
+// ---------------------------------------------------------------------------
+// Tool answers
+// ---------------------------------------------------------------------------
+
+function localAnswer(dataset, results, reason) {
+  const { loadedAt } = SNAPSHOTS.get(dataset)
+  return {
+    [dataset]: results,
+    found: results.length > 0,
+    fallback: true,
+    source: 'local_snapshot',
+    reason,
+    snapshot_age_minutes: Math.round((Date.now() - loadedAt) / 60000),
+    message: results.length
+      ? 'These results come from a local copy of our data that may be slightly out of date. Answer ONLY from them.'
+      : 'Nothing matched in our local copy of the data. Say you could not find it and offer a callback or a transfer.',
+  }
+}
+
+// Cache mode: the local answer when the snapshot has matches, else null
+export function cachedLocalAnswer(tool, args) {
+  const dataset = DATASETS[tool.fallback]
+  if (!dataset || localDataMode() !== 'cache') return null
+
+  const results = searchLocal(tool.fallback, args[dataset.arg])
+  return results?.length ? localAnswer(tool.fallback, results, 'cache') : null
+}
+
+// After the endpoint failed (or isn't configured); null without a snapshot
+export function fallbackLocalAnswer(tool, args, err) {
+  const dataset = DATASETS[tool.fallback]
+  if (!dataset || localDataMode() === 'off') return null
+
+  const results = searchLocal(tool.fallback, args[dataset.arg])
+  return results ? localAnswer(tool.fallback, results, err?.code || 'tool_failed') : null
+}
@@ -0,0 +1,164 @@
+// ---------------------------------------------------------------------------
+// Prometheus metrics (GET /metrics, text exposition format 0.0.4)
+//
+//   METRICS_TOKEN   if set, /metrics requires `Authorization: Bearer <token>`
+//
+// Hand-rolled (counters, gauges, histograms with labels) rather than a
+// client library: the gateway only needs a handful of series.
+// ---------------------------------------------------------------------------
+
+const REGISTRY = []
+
+// Seconds; tuned for phone latencies (tools, first audio)
+const LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 1.5, 2, 3, 5, 8, 13]
+// Seconds; a call is rarely under 10s or over half an hour
+const CALL_DURATION_BUCKETS = [10, 30, 60, 120, 180, 300, 600, 900, 1800]
+
+function labelKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map((n) => String(labels[n] ?? '')))
+}
+
+function formatLabels(labelNames, values, extra = []) {
+  const pairs = labelNames.map((n, i) => [n, values[i]]).concat(extra)
+  if (!pairs.length) return ''
+  const escape = (v) => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')
+  return `{${pairs.map(([n, v]) => `${n}="${escape(v)}"`).join(',')}}`
+}
+
+function register(metric) {
+  REGISTRY.push(metric)
+  return metric
+}
+
+export function createCounter({ name, help, labelNames = [] }) {
+  const values = new Map()
+
+  return register({
+    inc(labels = {}, by = 1) {
+      const key = labelKey(labelNames, labels)
+      values.set(key, (values.get(key) || 0) + by)
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`]
+      for (const [key, value] of values) {
+        lines.push(`${name}${formatLabels(labelNames, JSON.parse(key))} ${value}`)
+      }
+      return lines
+    },
+  })
+}
+
+export function createGauge({ name, help, labelNames = [] }) {
+  const values = new Map()
+
+  function add(labels, by) {
+    const key = labelKey(labelNames, labels)
+    values.set(key, (values.get(key) || 0) + by)
+  }
+
+  return register({
+    inc: (labels = {}) => add(labels, 1),
+    dec: (labels = {}) => add(labels, -1),
+    set(labels = {}, value) {
+      values.set(labelKey(labelNames, labels), value)
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`]
+      // an unlabelled gauge is reported even before its first change
+      if (!labelNames.length && !values.size) values.set(labelKey([], {}), 0)
+      for (const [key, value] of values) {
+        lines.push(`${name}${formatLabels(labelNames, JSON.parse(key))} ${value}`)
+      }
+      return lines
+    },
+  })
+}
+
+export function createHistogram({ name, help, labelNames = [], buckets = LATENCY_BUCKETS }) {
+  // key -> { counts per bucket, sum, count }
+  const series = new Map()
+
+  return register({
+    observe(labels = {}, value) {
+      if (!Number.isFinite(value)) return
+      const key = labelKey(labelNames, labels)
+      let s = series.get(key)
+      if (!s) {
+        s = { counts: buckets.map(() => 0), sum: 0, count: 0 }
+        series.set(key, s)
+      }
+      buckets.forEach((le, i) => {
+        if (value <= le) s.counts[i]++
+      })
+      s.sum += value
+      s.count++
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`]
+      for (const [key, s] of series) {
+        const values = JSON.parse(key)
+        buckets.forEach((le, i) => {
+          lines.push(`${name}_bucket${formatLabels(labelNames, values, [['le', le]])} ${s.counts[i]}`)
+        })
+        lines.push(`${name}_bucket${formatLabels(labelNames, values, [['le', '+Inf']])} ${s.count}`)
+        lines.push(`${name}_sum${formatLabels(labelNames, values)} ${s.sum}`)
+        lines.push(`${name}_count${formatLabels(labelNames, values)} ${s.count}`)
+      }
+      return lines
+    },
+  })
+}
+
+export function renderMetrics() {
+  return REGISTRY.flatMap((m) => m.render()).join('\n') + '\n'
+}
+
+// ---------------------------------------------------------------------------
+// Gateway metrics
+// ---------------------------------------------------------------------------
+
+export const activeCalls = createGauge({
+  name: 'cl_phone_active_calls',
+  help: 'Calls with an authenticated media stream that is still open.',
+})
+
+export const queuedCalls = createGauge({
+  name: 'cl_phone_queued_calls',
+  help: 'Callers on hold waiting for a free session (MAX_CONCURRENT_CALLS).',
+})
+
+export const callDuration = createHistogram({
+  name: 'cl_phone_call_duration_seconds',
+  help: 'Media stream duration from Twilio start to socket close.',
+  buckets: CALL_DURATION_BUCKETS,
+})
+
+export const toolLatency = createHistogram({
+  name: 'cl_phone_tool_latency_seconds',
+  help: 'Time from function call to function_call_output, per tool.',
+  labelNames: ['tool'],
+})
+
+export const toolErrors = createCounter({
+  name: 'cl_phone_tool_errors_total',
+  help: 'Tool calls answered with an error output, per tool and error code.',
+  labelNames: ['tool', 'code'],
+})
+
+export const handoffs = createCounter({
+  name: 'cl_phone_handoffs_total',
+  help: 'Agent switches by source and destination agent.',
+  labelNames: ['from', 'to'],
+})
+
+export const openaiErrors = createCounter({
+  name: 'cl_phone_openai_errors_total',
+  help: 'OpenAI Realtime `error` events by error type.',
+  labelNames: ['type'],
+})
+
+export const timeToFirstAudio = createHistogram({
+  name: 'cl_phone_time_to_first_audio_seconds',
+  help: 'From the end of caller speech to the first assistant audio delta, per turn.',
+  labelNames: ['agent'],
+})
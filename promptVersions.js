@@ -0,0 +1,174 @@
+import crypto from 'crypto'
+import { supabase } from './supabaseClient.js'
+
+// ---------------------------------------------------------------------------
+// Prompt versions (cl_phone_agent_prompt_versions)
+//
+// Each row is one version of one agent's prompt:
+//   agent_slug         the cl_phone_agents slug it belongs to
+//   version            integer, increasing per agent
+//   system_prompt      replaces the agent's system_prompt for calls assigned
+//                      to this version
+//   localized_prompts  jsonb, as on cl_phone_agents
+//   weight             share of calls (A/B split); 0 = out of rotation
+//   pinned_numbers     text[] caller numbers that always get this version
+//   is_active          rows with is_active = false are ignored
+//
+// Every call gets one version per agent when Twilio `start` arrives: a
+// pinned number wins, otherwise a weighted pick seeded by the callSid. An
+// agent with no weighted version uses its cl_phone_agents prompt. The
+// assignment is stored on cl_phone_calls.prompt_versions.
+//
+// Rollback moves all traffic for an agent to one version (weight 100, every
+// other version 0).
+// ---------------------------------------------------------------------------
+
+// slug -> [{ version, prompt, localizedPrompts, weight, pinnedNumbers }]
+let VERSIONS = new Map()
+
+// Returns { added, removed, changed } agent slugs, or { error }
+export async function reloadPromptVersions() {
+  try {
+    const { data, error } = await supabase
+      .from('cl_phone_agent_prompt_versions')
+      .select('*')
+      .eq('is_active', true)
+
+    if (error) {
+      console.error('[PromptVersions] Error loading:', error)
+      return { error: error.message || String(error) }
+    }
+
+    const versions = new Map()
+    for (const row of data || []) {
+      if (!row.agent_slug || row.version == null || !row.system_prompt) continue
+      if (!versions.has(row.agent_slug)) versions.set(row.agent_slug, [])
+      versions.get(row.agent_slug).push({
+        version: row.version,
+        prompt: row.system_prompt,
+        localizedPrompts:
+          row.localized_prompts && typeof row.localized_prompts === 'object'
+            ? row.localized_prompts
+            : {},
+        weight: Number(row.weight) > 0 ? Number(row.weight) : 0,
+        pinnedNumbers: Array.isArray(row.pinned_numbers) ? row.pinned_numbers : [],
+      })
+    }
+    for (const list of versions.values()) list.sort((a, b) => a.version - b.version)
+
+    const previous = VERSIONS
+    const fingerprint = (list) => JSON.stringify(list)
+    const changes = { added: [], removed: [], changed: [] }
+    for (const [slug, list] of versions) {
+      if (!previous.has(slug)) changes.added.push(slug)
+      else if (fingerprint(previous.get(slug)) !== fingerprint(list)) changes.changed.push(slug)
+    }
+    for (const slug of previous.keys()) {
+      if (!versions.has(slug)) changes.removed.push(slug)
+    }
+
+    VERSIONS = versions
+    console.log(
+      '[PromptVersions] Reloaded:',
+      [...VERSIONS]
+        .map(([slug, list]) => `${slug}=${list.map((v) => `v${v.version}:${v.weight}`).join('/')}`)
+        .join(' ') || '(none)'
+    )
+    return changes
+  } catch (e) {
+    console.error('[PromptVersions] Unexpected error reloading:', e)
+    return { error: e?.message || String(e) }
+  }
+}
+
+// For GET /prompt-versions
+export function listPromptVersions() {
+  return Object.fromEntries(
+    [...VERSIONS].map(([slug, list]) => [
+      slug,
+      list.map(({ version, weight, pinnedNumbers }) => ({
+        version,
+        weight,
+        pinned_numbers: pinnedNumbers,
+      })),
+    ])
+  )
+}
+
+// Uniform in [0, 1), stable for a given call and agent
+function callFraction(callSid, slug) {
+  const digest = crypto.createHash('sha1').update(`${callSid}:${slug}`).digest()
+  return digest.readUInt32BE(0) / 2 ** 32
+}
+
+function pickVersion(slug, { callSid, callerNumber }) {
+  const list = VERSIONS.get(slug) || []
+
+  if (callerNumber) {
+    const pinned = list.find((v) => v.pinnedNumbers.includes(callerNumber))
+    if (pinned) return pinned
+  }
+
+  const weighted = list.filter((v) => v.weight > 0)
+  const total = weighted.reduce((sum, v) => sum + v.weight, 0)
+  if (!total) return null
+
+  let point = callFraction(callSid, slug) * total
+  for (const v of weighted) {
+    point -= v.weight
+    if (point < 0) return v
+  }
+  return weighted[weighted.length - 1]
+}
+
+// slug -> version for every agent that has versions (others use the base
+// prompt and are left out)
+export function assignPromptVersions({ callSid, callerNumber = null }) {
+  const assigned = new Map()
+  for (const slug of VERSIONS.keys()) {
+    const v = pickVersion(slug, { callSid, callerNumber })
+    if (v) assigned.set(slug, v)
+  }
+  return assigned
+}
+
+// Sends all of `slug`'s traffic to `version`; returns null or an error message.
+// The target gets its weight first, so a failure part-way never leaves the
+// agent with no weighted version (and the base prompt) – and if the rest
+// can't be cleared, the target's old weight is put back.
+export async function rollbackPromptVersion(slug, version) {
+  const list = VERSIONS.get(slug) || []
+  const target = list.find((v) => v.version === version)
+  if (!target) return 'unknown version'
+
+  const versions = () => supabase.from('cl_phone_agent_prompt_versions')
+
+  try {
+    const { error } = await versions()
+      .update({ weight: 100 })
+      .eq('agent_slug', slug)
+      .eq('version', version)
+    if (error) return error.message || String(error)
+
+    const { error: clearError } = await versions()
+      .update({ weight: 0 })
+      .eq('agent_slug', slug)
+      .neq('version', version)
+    if (clearError) {
+      const { error: restoreError } = await versions()
+        .update({ weight: target.weight })
+        .eq('agent_slug', slug)
+        .eq('version', version)
+      if (restoreError) {
+        console.error('[PromptVersions] Could not restore', slug, `v${version}`, restoreError)
+      }
+      return clearError.message || String(clearError)
+    }
+  } catch (e) {
+    return e?.message || String(e)
+  }
+
+  console.log('[PromptVersions] Rolled', slug, 'back to version', version)
+  await reloadPromptVersions()
+  return null
+}
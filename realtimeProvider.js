@@ -0,0 +1,174 @@
+import WebSocket from 'ws'
+
+// ---------------------------------------------------------------------------
+// Realtime provider adapter
+//
+//   REALTIME_PROVIDER    'openai-beta' (default) | 'openai' (GA) | 'azure'
+//
+//   openai-beta / openai
+//     OPENAI_API_KEY
+//     OPENAI_REALTIME_URL   default wss://api.openai.com/v1/realtime with
+//                           ?model=gpt-4o-realtime-preview (beta) or
+//                           ?model=gpt-realtime (GA)
+//   azure
+//     AZURE_OPENAI_ENDPOINT            https://<resource>.openai.azure.com
+//     AZURE_OPENAI_API_KEY
+//     AZURE_OPENAI_DEPLOYMENT          the realtime deployment
+//     AZURE_OPENAI_API_VERSION         default 2024-10-01-preview
+//     AZURE_OPENAI_REALTIME_PROTOCOL   'beta' (default, /openai/realtime) or
+//                                      'ga' (/openai/v1/realtime)
+//
+// server.js is written once against the GA event names and a provider-
+// neutral session object:
+//   { instructions, voice, tools, turnDetection, inputTranscription,
+//     temperature, maxOutputTokens }
+// sessionUpdate() shapes that for the wire (beta or GA schema) and
+// normalizeEvent() renames beta events to their GA names. An agent's
+// session_config.model is the model (OpenAI) or deployment (Azure).
+// ---------------------------------------------------------------------------
+
+const BETA_DEFAULT_URL = 'wss://api.openai.com/v1/realtime?model=gpt-4o-realtime-preview'
+const GA_DEFAULT_URL = 'wss://api.openai.com/v1/realtime?model=gpt-realtime'
+
+// Beta server event -> GA name (everything else is unchanged)
+const BETA_EVENT_NAMES = {
+  'response.audio.delta': 'response.output_audio.delta',
+  'response.audio.done': 'response.output_audio.done',
+  'response.audio_transcript.delta': 'response.output_audio_transcript.delta',
+  'response.audio_transcript.done': 'response.output_audio_transcript.done',
+  'response.text.delta': 'response.output_text.delta',
+  'response.text.done': 'response.output_text.done',
+  'conversation.item.created': 'conversation.item.added',
+}
+
+const has = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key)
+
+// Twilio media streams are 8kHz μ-law both ways
+function betaSession(session, { initial }) {
+  const wire = {}
+  if (initial) {
+    wire.modalities = ['audio', 'text']
+    wire.input_audio_format = 'g711_ulaw'
+    wire.output_audio_format = 'g711_ulaw'
+  }
+  if (has(session, 'instructions')) wire.instructions = session.instructions
+  if (has(session, 'voice')) wire.voice = session.voice
+  if (has(session, 'turnDetection')) wire.turn_detection = session.turnDetection
+  if (has(session, 'inputTranscription')) wire.input_audio_transcription = session.inputTranscription
+  if (has(session, 'temperature')) wire.temperature = session.temperature
+  if (has(session, 'maxOutputTokens')) wire.max_response_output_tokens = session.maxOutputTokens
+  if (has(session, 'tools')) wire.tools = session.tools
+  return wire
+}
+
+// GA moved audio settings under session.audio and dropped temperature
+function gaSession(session, { initial }) {
+  const wire = { type: 'realtime' }
+  const input = {}
+  const output = {}
+  if (initial) {
+    wire.output_modalities = ['audio']
+    input.format = { type: 'audio/pcmu' }
+    output.format = { type: 'audio/pcmu' }
+  }
+  if (has(session, 'instructions')) wire.instructions = session.instructions
+  if (has(session, 'turnDetection')) input.turn_detection = session.turnDetection
+  if (has(session, 'inputTranscription')) input.transcription = session.inputTranscription
+  if (has(session, 'voice')) output.voice = session.voice
+  if (has(session, 'maxOutputTokens')) wire.max_output_tokens = session.maxOutputTokens
+  if (has(session, 'tools')) wire.tools = session.tools
+
+  const audio = {}
+  if (Object.keys(input).length) audio.input = input
+  if (Object.keys(output).length) audio.output = output
+  if (Object.keys(audio).length) wire.audio = audio
+  return wire
+}
+
+function withModel(baseUrl, param, model) {
+  if (!model) return baseUrl
+  const url = new URL(baseUrl)
+  url.searchParams.set(param, model)
+  return url.toString()
+}
+
+function azureUrl(protocol, deployment) {
+  const base = new URL(process.env.AZURE_OPENAI_ENDPOINT)
+  base.protocol = base.protocol === 'http:' ? 'ws:' : 'wss:'
+
+  if (protocol === 'ga') {
+    base.pathname = '/openai/v1/realtime'
+    base.searchParams.set('model', deployment)
+  } else {
+    base.pathname = '/openai/realtime'
+    base.searchParams.set('api-version', process.env.AZURE_OPENAI_API_VERSION || '2024-10-01-preview')
+    base.searchParams.set('deployment', deployment)
+  }
+  return base.toString()
+}
+
+export function createRealtimeProvider() {
+  const name = process.env.REALTIME_PROVIDER || 'openai-beta'
+
+  let protocol
+  let configProblem = null
+  let connection
+
+  if (name === 'azure') {
+    protocol = process.env.AZURE_OPENAI_REALTIME_PROTOCOL === 'ga' ? 'ga' : 'beta'
+    const missing = ['AZURE_OPENAI_ENDPOINT', 'AZURE_OPENAI_API_KEY', 'AZURE_OPENAI_DEPLOYMENT'].filter(
+      (v) => !process.env[v]
+    )
+    if (missing.length) configProblem = `Missing ${missing.join(', ')}`
+
+    connection = (model) => ({
+      url: azureUrl(protocol, model || process.env.AZURE_OPENAI_DEPLOYMENT),
+      headers: { 'api-key': process.env.AZURE_OPENAI_API_KEY },
+    })
+  } else if (name === 'openai' || name === 'openai-beta') {
+    protocol = name === 'openai' ? 'ga' : 'beta'
+    if (!process.env.OPENAI_API_KEY) configProblem = 'Missing OPENAI_API_KEY'
+
+    const baseUrl =
+      process.env.OPENAI_REALTIME_URL || (protocol === 'ga' ? GA_DEFAULT_URL : BETA_DEFAULT_URL)
+    connection = (model) => ({
+      url: withModel(baseUrl, 'model', model),
+      headers: {
+        Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
+        ...(protocol === 'beta' ? { 'OpenAI-Beta': 'realtime=v1' } : {}),
+      },
+    })
+  } else {
+    configProblem = `Unknown REALTIME_PROVIDER '${name}'`
+    connection = () => {
+      throw new Error(configProblem)
+    }
+  }
+
+  return {
+    name,
+    protocol,
+    // null when the provider has what it needs, otherwise why not
+    configProblem,
+
+    // model: the entry agent's session_config.model, if any
+    connect(model = null) {
+      const { url, headers } = connection(model)
+      return new WebSocket(url, { headers })
+    },
+
+    // initial: the first update of a connection (adds audio formats and
+    // output modalities)
+    sessionUpdate(session, { initial = false } = {}) {
+      return {
+        type: 'session.update',
+        session: protocol === 'ga' ? gaSession(session, { initial }) : betaSession(session, { initial }),
+      }
+    },
+
+    normalizeEvent(event) {
+      if (protocol === 'ga' || !BETA_EVENT_NAMES[event?.type]) return event
+      return { ...event, type: BETA_EVENT_NAMES[event.type] }
+    },
+  }
+}
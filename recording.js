@@ -0,0 +1,177 @@
+import { supabase } from './supabaseClient.js'
+
+// ---------------------------------------------------------------------------
+// Call recordings (stereo WAV: left = caller, right = assistant)
+//
+//   RECORDING_ENABLED          'true' to record calls (default off)
+//   RECORDING_BUCKET           Supabase Storage bucket (default 'call-recordings')
+//   RECORDING_CONSENT_NOTICE   if set, spoken before the greeting
+//
+// Both sides are 8kHz μ-law. Caller frames are placed by Twilio's media
+// timestamp; assistant audio is placed where Twilio plays it (back to back
+// from when it arrives, never earlier than "now"), and a barge-in `clear`
+// drops whatever had not been played yet. The file is uploaded as
+// <bucket>/<callSid>.wav and its path written to cl_phone_calls.
+// ---------------------------------------------------------------------------
+
+const SAMPLE_RATE = 8000
+const BYTES_PER_MS = SAMPLE_RATE / 1000 // one μ-law byte per sample
+const MULAW_SILENCE = 0xff
+
+export function recordingEnabled() {
+  return process.env.RECORDING_ENABLED === 'true'
+}
+
+export function recordingBucket() {
+  return process.env.RECORDING_BUCKET || 'call-recordings'
+}
+
+export function consentNotice() {
+  return recordingEnabled() ? process.env.RECORDING_CONSENT_NOTICE || null : null
+}
+
+// Growable μ-law track, padded with silence
+function createTrack() {
+  let buf = Buffer.alloc(SAMPLE_RATE * 60, MULAW_SILENCE)
+  let length = 0
+
+  function ensure(size) {
+    if (size <= buf.length) return
+    const next = Buffer.alloc(Math.max(size, buf.length * 2), MULAW_SILENCE)
+    buf.copy(next, 0, 0, length)
+    buf = next
+  }
+
+  return {
+    get length() {
+      return length
+    },
+    write(offset, bytes) {
+      ensure(offset + bytes.length)
+      bytes.copy(buf, offset)
+      length = Math.max(length, offset + bytes.length)
+    },
+    // Drop (silence) everything from `offset` on
+    truncate(offset) {
+      if (offset >= length) return
+      buf.fill(MULAW_SILENCE, offset, length)
+      length = offset
+    },
+    byteAt(i) {
+      return i < length ? buf[i] : MULAW_SILENCE
+    },
+  }
+}
+
+export function createCallRecorder() {
+  const caller = createTrack()
+  const assistant = createTrack()
+  let startedAt = null
+  // byte offset where the next assistant chunk starts playing
+  let assistantCursor = 0
+
+  const nowOffset = () => Math.floor((Date.now() - startedAt) * BYTES_PER_MS)
+
+  return {
+    get started() {
+      return startedAt !== null
+    },
+
+    start() {
+      if (startedAt === null) startedAt = Date.now()
+    },
+
+    // payload: base64 μ-law; timestampMs: Twilio's media.timestamp
+    addCallerAudio(payload, timestampMs) {
+      if (startedAt === null || !payload) return
+      const ts = Number(timestampMs)
+      const offset = Number.isFinite(ts) ? Math.floor(ts * BYTES_PER_MS) : nowOffset()
+      caller.write(offset, Buffer.from(payload, 'base64'))
+    },
+
+    addAssistantAudio(payload) {
+      if (startedAt === null || !payload) return
+      const bytes = Buffer.from(payload, 'base64')
+      const offset = Math.max(assistantCursor, nowOffset())
+      assistant.write(offset, bytes)
+      assistantCursor = offset + bytes.length
+    },
+
+    // Barge-in: audio queued at Twilio past this moment was never heard
+    clearAssistant() {
+      if (startedAt === null) return
+      const offset = nowOffset()
+      assistant.truncate(offset)
+      assistantCursor = Math.min(assistantCursor, offset)
+    },
+
+    toWav() {
+      return encodeStereoWav(caller, assistant)
+    },
+  }
+}
+
+// Uploads the recording and links it on the call row; returns the path or null
+export async function uploadRecording(recorder, { callSid, callLog }) {
+  if (!recorder.started || !callSid) return null
+
+  const path = `${callSid}.wav`
+  try {
+    const { error } = await supabase.storage
+      .from(recordingBucket())
+      .upload(path, recorder.toWav(), { contentType: 'audio/wav', upsert: true })
+
+    if (error) {
+      console.error('[Recording] Upload failed for', callSid, error)
+      return null
+    }
+
+    console.log('[Recording] Uploaded', callSid, `${recordingBucket()}/${path}`)
+    await callLog.updateCall({ recording_bucket: recordingBucket(), recording_path: path })
+    return path
+  } catch (e) {
+    console.error('[Recording] Unexpected error uploading', callSid, e)
+    return null
+  }
+}
+
+// ---------------------------------------------------------------------------
+// WAV encoding (16-bit PCM, two channels)
+// ---------------------------------------------------------------------------
+
+function mulawToPcm(u) {
+  u = ~u & 0xff
+  const sign = u & 0x80
+  const exponent = (u >> 4) & 0x07
+  const mantissa = u & 0x0f
+  const sample = (((mantissa << 3) + 0x84) << exponent) - 0x84
+  return sign ? -sample : sample
+}
+
+const MULAW_TABLE = Int16Array.from({ length: 256 }, (_, u) => mulawToPcm(u))
+
+function encodeStereoWav(left, right) {
+  const frames = Math.max(left.length, right.length)
+  const dataSize = frames * 4
+  const wav = Buffer.alloc(44 + dataSize)
+
+  wav.write('RIFF', 0)
+  wav.writeUInt32LE(36 + dataSize, 4)
+  wav.write('WAVE', 8)
+  wav.write('fmt ', 12)
+  wav.writeUInt32LE(16, 16) // fmt chunk size
+  wav.writeUInt16LE(1, 20) // PCM
+  wav.writeUInt16LE(2, 22) // channels
+  wav.writeUInt32LE(SAMPLE_RATE, 24)
+  wav.writeUInt32LE(SAMPLE_RATE * 4, 28) // byte rate
+  wav.writeUInt16LE(4, 32) // block align
+  wav.writeUInt16LE(16, 34) // bits per sample
+  wav.write('data', 36)
+  wav.writeUInt32LE(dataSize, 40)
+
+  for (let i = 0; i < frames; i++) {
+    wav.writeInt16LE(MULAW_TABLE[left.byteAt(i)], 44 + i * 4)
+    wav.writeInt16LE(MULAW_TABLE[right.byteAt(i)], 46 + i * 4)
+  }
+  return wav
+}
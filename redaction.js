@@ -0,0 +1,194 @@
+import crypto from 'crypto'
+import util from 'util'
+
+// ---------------------------------------------------------------------------
+// PII redaction
+//
+//   REDACTION_ENABLED      'false' turns masking off everywhere
+//   REDACTION_RULES        JSON { <field>: [<rule>, ...] } replacing the
+//                          default rules of the fields it names
+//   REDACTION_CALL_SID     how call_sid is sent to tool endpoints: 'keep'
+//                          (default), 'hash' (HMAC, stable per call) or 'omit'
+//   REDACTION_HASH_SECRET  HMAC key for 'hash' (falls back to
+//                          STREAM_TOKEN_SECRET)
+//   REDACTION_KEEP_RAW     'true' also writes unredacted turns to
+//                          cl_phone_call_turns_raw. Keep that table behind
+//                          RLS with no policies (service role only).
+//
+// Fields and their default rules:
+//   log          every console line                 all rules
+//   transcript   turn text in cl_phone_call_turns    all rules
+//                (and so callback transcripts and call analytics)
+//   tool_args    tool arguments stored with turns   all rules, plus keys
+//                (and transfer_reason)              named like the rule
+//                                                   (name, phone, ...)
+//   tool_output  tool outputs stored with turns     phone, email, card
+//                (and transfer_error, the SMS log's
+//                to_number / body)
+//   endpoint     arguments POSTed to tool endpoints phone, email, card
+//
+// Rules: phone, email, card (numbers that pass the Luhn check), address
+// (street addresses), name (after "my name is", "my name's", "call me"; in
+// transcripts only on caller turns, so the assistant's "This is Chasdei
+// Lev" stays readable). Matches become [phone], [email], ...
+//
+// Values under ID-like keys (id, order_id, order_number, barcode, ...) are
+// never masked as phone or card numbers.
+//
+// The live supervisor view and the callback queue's phone / name columns
+// stay unredacted: both are access-controlled and need the real values.
+// ---------------------------------------------------------------------------
+
+const RULES = {
+  email: { pattern: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g, replace: '[email]' },
+  // before phone, so a card number isn't half-masked as a phone number
+  card: {
+    pattern: /(?<![\w+])\d(?:[ -]?\d){12,18}(?!\w)/g,
+    replace: '[card]',
+    // order numbers and barcodes are just as long
+    valid: (match) => luhnValid(match.replace(/\D/g, '')),
+  },
+  phone: {
+    pattern: /(?<![\w+])(?:\+\d{8,15}|(?:1[\s.-]?)?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4})(?!\w)/g,
+    replace: '[phone]',
+  },
+  address: {
+    pattern:
+      /\b\d{1,6}\s+(?:[A-Za-z0-9]+\s+){1,3}(?:street|st|avenue|ave|road|rd|boulevard|blvd|lane|ln|drive|dr|court|ct|place|pl|terrace|ter|way|parkway|pkwy|circle|cir)\b\.?/gi,
+    replace: '[address]',
+  },
+  name: {
+    // case-sensitive on purpose: only capitalized words count as a name
+    pattern: /\b([Mm]y name is|[Mm]y name's|[Cc]all me)\s+[A-Z][a-z'-]+(?:\s+[A-Z][a-z'-]+)?/g,
+    replace: '$1 [name]',
+  },
+}
+
+// Argument keys masked whole under tool_args, by rule
+const KEY_RULES = {
+  name: ['name', 'caller_name', 'first_name', 'last_name'],
+  phone: ['phone', 'phone_number', 'caller_number', 'callback_number'],
+  email: ['email'],
+  address: ['address', 'street', 'street_address'],
+}
+
+// Tool argument / output keys holding IDs rather than anything personal
+const ID_KEY = /^(?:id|\w+_id|order_(?:number|no)|barcode|upc|sku|tracking_number)$/
+const DIGIT_RULES = ['card', 'phone']
+
+const ALL_RULES = ['email', 'card', 'phone', 'address', 'name']
+
+const DEFAULT_FIELD_RULES = {
+  log: ALL_RULES,
+  transcript: ALL_RULES,
+  tool_args: ALL_RULES,
+  tool_output: ['email', 'card', 'phone'],
+  endpoint: ['email', 'card', 'phone'],
+}
+
+export function redactionEnabled() {
+  return process.env.REDACTION_ENABLED !== 'false'
+}
+
+export function keepRawCopy() {
+  return process.env.REDACTION_KEEP_RAW === 'true'
+}
+
+let fieldRules = null
+
+function rulesFor(field) {
+  if (!fieldRules) {
+    fieldRules = { ...DEFAULT_FIELD_RULES }
+    if (process.env.REDACTION_RULES) {
+      try {
+        for (const [f, rules] of Object.entries(JSON.parse(process.env.REDACTION_RULES))) {
+          if (!Array.isArray(rules)) continue
+          const unknown = rules.filter((r) => !RULES[r])
+          if (unknown.length) console.warn('[Redaction] Unknown rules for', f, unknown.join(', '))
+          // keep the canonical order (card before phone)
+          fieldRules[f] = ALL_RULES.filter((r) => rules.includes(r))
+        }
+      } catch (e) {
+        console.warn('[Redaction] Invalid REDACTION_RULES, using defaults:', e.message)
+      }
+    }
+  }
+  return fieldRules[field] || []
+}
+
+function luhnValid(digits) {
+  let sum = 0
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i])
+    if (i % 2) d = d * 2 > 9 ? d * 2 - 9 : d * 2
+    sum += d
+  }
+  return sum % 10 === 0
+}
+
+// skip: rules of the field not to apply here (e.g. 'name' on assistant turns)
+export function redactText(text, field, { skip = [] } = {}) {
+  if (typeof text !== 'string' || !text || !redactionEnabled()) return text
+  let out = text
+  for (const rule of rulesFor(field)) {
+    if (skip.includes(rule)) continue
+    const { pattern, replace, valid } = RULES[rule]
+    out = valid
+      ? out.replace(pattern, (match) => (valid(match) ? replace : match))
+      : out.replace(pattern, replace)
+  }
+  return out
+}
+
+// Strings anywhere inside `value` (objects, arrays); under tool_args keys
+// like `name` / `phone` are masked whole
+export function redactValue(value, field, { skip = [] } = {}) {
+  if (!redactionEnabled() || value == null) return value
+  if (typeof value === 'string') return redactText(value, field, { skip })
+  if (Array.isArray(value)) return value.map((v) => redactValue(v, field, { skip }))
+  if (typeof value !== 'object') return value
+
+  const maskedKeys = new Map()
+  if (field === 'tool_args') {
+    for (const rule of rulesFor(field)) {
+      for (const key of KEY_RULES[rule] || []) maskedKeys.set(key, `[${rule}]`)
+    }
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).map(([k, v]) => [
+      k,
+      maskedKeys.has(k) && typeof v === 'string' && v
+        ? maskedKeys.get(k)
+        : redactValue(v, field, { skip: ID_KEY.test(k) ? [...skip, ...DIGIT_RULES] : skip }),
+    ])
+  )
+}
+
+function hashCallSid(callSid) {
+  const secret = process.env.REDACTION_HASH_SECRET || process.env.STREAM_TOKEN_SECRET || ''
+  return `h_${crypto.createHmac('sha256', secret).update(callSid).digest('hex').slice(0, 32)}`
+}
+
+// Payload for a tool endpoint: the model's args under the `endpoint` rules,
+// call_sid per REDACTION_CALL_SID, then `context` (agent, language) as is
+export function endpointPayload(args, { callSid, ...context }) {
+  const payload = { ...redactValue(args, 'endpoint') }
+
+  const mode = redactionEnabled() ? process.env.REDACTION_CALL_SID || 'keep' : 'keep'
+  if (mode === 'hash' && callSid) payload.call_sid = hashCallSid(callSid)
+  else if (mode !== 'omit') payload.call_sid = callSid
+
+  return { ...payload, ...context }
+}
+
+// Routes console.log / info / warn / error through the `log` rules. The
+// line is formatted first (util.format), so objects are covered too.
+export function installLogRedaction() {
+  if (!redactionEnabled() || !rulesFor('log').length) return
+
+  for (const method of ['log', 'info', 'warn', 'error']) {
+    const original = console[method].bind(console)
+    console[method] = (...args) => original(redactText(util.format(...args), 'log'))
+  }
+}
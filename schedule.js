@@ -0,0 +1,217 @@
+import { supabase } from './supabaseClient.js'
+import { orgTimeZone } from './answers.js'
+
+// ---------------------------------------------------------------------------
+// Office schedule (all times in ORG_TIMEZONE, default America/New_York)
+//
+//   cl_phone_hours           day_of_week (0 = Sunday), opens_at / closes_at
+//                            ('HH:MM'); several rows per day are allowed
+//   cl_phone_closures        starts_on / ends_on (dates, inclusive) and a
+//                            name ('Sukkos', 'Snow day'); closed all day
+//   cl_phone_announcements   message, urgent, optional starts_at / ends_at
+//
+// Every table honours is_active = false. With no hours rows the office
+// keeps the hours in TRANSFER_HOURS (e.g. "Sun-Thu 09:00-17:00;Fri
+// 09:00-12:00", also ORG_TIMEZONE), and without that it counts as always
+// open (closures still apply).
+//
+// The router prompt gets the status at the start of each call; urgent
+// announcements are read right after the greeting; transfers to staff are
+// only offered while the office is open (see transfer.js).
+// ---------------------------------------------------------------------------
+
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+
+let HOURS = [] // { day, start, end } minutes since midnight
+let CLOSURES = [] // { startsOn, endsOn, name } 'YYYY-MM-DD'
+let ANNOUNCEMENTS = [] // { message, urgent, startsAt, endsAt } Date | null
+
+function parseClock(value) {
+  const m = String(value || '').match(/^(\d{1,2}):(\d{2})/)
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null
+}
+
+// "Sun-Thu 09:00-17:00;Fri 09:00-12:00" -> hours rows
+function parseHoursSpec(spec) {
+  const hours = []
+
+  for (const part of (spec || '').split(';')) {
+    const m = part.trim().match(/^(\w{3})(?:-(\w{3}))?\s+(\d{1,2}:\d{2})-(\d{1,2}:\d{2})$/)
+    if (!m) continue
+
+    const fromDay = DAYS.findIndex((d) => d.startsWith(m[1]))
+    const toDay = DAYS.findIndex((d) => d.startsWith(m[2] || m[1]))
+    if (fromDay === -1 || toDay === -1) continue
+
+    for (let d = fromDay; ; d = (d + 1) % 7) {
+      hours.push({ day: d, start: parseClock(m[3]), end: parseClock(m[4]) })
+      if (d === toDay) break
+    }
+  }
+
+  return hours
+}
+
+function parseDate(value) {
+  if (!value) return null
+  const d = new Date(value)
+  return Number.isNaN(d.getTime()) ? null : d
+}
+
+async function loadActive(table) {
+  const { data, error } = await supabase.from(table).select('*')
+  if (error) throw new Error(`${table}: ${error.message || error}`)
+  return (data || []).filter((row) => row.is_active !== false)
+}
+
+// Returns { hours, closures, announcements } row counts, or { error }
+export async function reloadSchedule() {
+  try {
+    const [hours, closures, announcements] = await Promise.all([
+      loadActive('cl_phone_hours'),
+      loadActive('cl_phone_closures'),
+      loadActive('cl_phone_announcements'),
+    ])
+
+    HOURS = hours
+      .map((r) => ({
+        day: Number(r.day_of_week),
+        start: parseClock(r.opens_at),
+        end: parseClock(r.closes_at),
+      }))
+      .filter((h) => h.day >= 0 && h.day <= 6 && h.start != null && h.end != null)
+    if (!HOURS.length) HOURS = parseHoursSpec(process.env.TRANSFER_HOURS)
+
+    CLOSURES = closures
+      .filter((r) => r.starts_on)
+      .map((r) => ({
+        startsOn: String(r.starts_on).slice(0, 10),
+        endsOn: String(r.ends_on || r.starts_on).slice(0, 10),
+        name: r.name || null,
+      }))
+
+    ANNOUNCEMENTS = announcements
+      .filter((r) => r.message)
+      .map((r) => ({
+        message: r.message,
+        urgent: r.urgent === true,
+        startsAt: parseDate(r.starts_at),
+        endsAt: parseDate(r.ends_at),
+      }))
+
+    console.log(
+      '[Schedule] Reloaded',
+      HOURS.length,
+      'hours,',
+      CLOSURES.length,
+      'closures,',
+      ANNOUNCEMENTS.length,
+      'announcements'
+    )
+    return { hours: HOURS.length, closures: CLOSURES.length, announcements: ANNOUNCEMENTS.length }
+  } catch (e) {
+    console.error('[Schedule] Error reloading:', e?.message || e)
+    return { error: e?.message || String(e) }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Status
+// ---------------------------------------------------------------------------
+
+// { date: 'YYYY-MM-DD', day: 0-6, minutes } in the org timezone
+function localParts(date) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: orgTimeZone(),
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date)
+
+  const get = (type) => parts.find((p) => p.type === type)?.value
+  return {
+    date: `${get('year')}-${get('month')}-${get('day')}`,
+    day: DAYS.findIndex((d) => d.startsWith(get('weekday'))),
+    minutes: Number(get('hour')) * 60 + Number(get('minute')),
+  }
+}
+
+function closureOn(date) {
+  return CLOSURES.find((c) => date >= c.startsOn && date <= c.endsOn) || null
+}
+
+function spokenClock(minutes) {
+  const h = Math.floor(minutes / 60) % 24
+  const m = minutes % 60
+  const hour12 = h % 12 || 12
+  return `${hour12}${m ? `:${String(m).padStart(2, '0')}` : ''} ${h < 12 ? 'AM' : 'PM'}`
+}
+
+// Next opening within two weeks, e.g. "Monday at 9 AM"
+function nextOpening(now) {
+  const today = localParts(now)
+  for (let offset = 0; offset < 14; offset++) {
+    const parts = offset ? localParts(new Date(now.getTime() + offset * 86400000)) : today
+    if (closureOn(parts.date)) continue
+
+    const opening = HOURS.filter(
+      (h) => h.day === parts.day && (offset > 0 || h.start > today.minutes)
+    ).sort((a, b) => a.start - b.start)[0]
+    if (!opening) continue
+
+    const when = offset === 0 ? 'today' : offset === 1 ? 'tomorrow' : DAYS[parts.day]
+    return `${when} at ${spokenClock(opening.start)}`
+  }
+  return null
+}
+
+// { open, closure, closesAt, nextOpen } – closesAt / nextOpen are spoken text
+export function officeStatus(now = new Date()) {
+  const { date, day, minutes } = localParts(now)
+
+  const closure = closureOn(date)
+  if (closure) {
+    return { open: false, closure: closure.name || 'a closure', closesAt: null, nextOpen: nextOpening(now) }
+  }
+  if (!HOURS.length) return { open: true, closure: null, closesAt: null, nextOpen: null }
+
+  const current = HOURS.find((h) => h.day === day && minutes >= h.start && minutes < h.end)
+  return current
+    ? { open: true, closure: null, closesAt: spokenClock(current.end), nextOpen: null }
+    : { open: false, closure: null, closesAt: null, nextOpen: nextOpening(now) }
+}
+
+export function activeAnnouncements(now = new Date()) {
+  return ANNOUNCEMENTS.filter(
+    (a) => (!a.startsAt || a.startsAt <= now) && (!a.endsAt || a.endsAt > now)
+  )
+}
+
+// Block appended to the router prompt at the start of a call
+export function scheduleContext(now = new Date()) {
+  const status = officeStatus(now)
+  const { day, minutes } = localParts(now)
+  const lines = [`Office status as of ${DAYS[day]} ${spokenClock(minutes)} (${orgTimeZone()}):`]
+
+  if (status.open) {
+    lines.push(status.closesAt ? `The office is open until ${status.closesAt}.` : 'The office is open.')
+  } else {
+    lines.push(
+      status.closure ? `The office is closed today for ${status.closure}.` : 'The office is closed right now.'
+    )
+    if (status.nextOpen) lines.push(`It opens again ${status.nextOpen}.`)
+    lines.push('Nobody can take a transfer right now; offer voicemail instead of a person.')
+  }
+
+  const announcements = activeAnnouncements(now)
+  if (announcements.length) {
+    lines.push('Current announcements (share them when relevant):')
+    for (const a of announcements) lines.push(`- ${a.message}`)
+  }
+
+  return lines.join('\n')
+}
@@ -1,115 +1,698 @@
 // server.js
 import dotenv from 'dotenv'
 import http from 'http'
+import { EventEmitter } from 'events'
 import WebSocket, { WebSocketServer } from 'ws'
-import { supabase } from './supabaseClient.js'
+import { createCallLog } from './callLog.js'
+import {
+  ENTRY_AGENT,
+  reloadAgentsFromDB,
+  snapshotAgents,
+  agentInstructions,
+  findTool,
+  missingPrompts,
+  sessionSettings,
+} from './agents.js'
+import { watchConfigChanges } from './configWatcher.js'
+import { pingSupabase } from './supabaseClient.js'
+import {
+  reloadPromptVersions,
+  assignPromptVersions,
+  listPromptVersions,
+  rollbackPromptVersion,
+} from './promptVersions.js'
+import {
+  recordingEnabled,
+  consentNotice,
+  createCallRecorder,
+  uploadRecording,
+} from './recording.js'
+import { invokeHttpTool } from './toolRunner.js'
+import { createTwilioClient, escapeXml } from './twilioClient.js'
+import {
+  twilioAuthDisabled,
+  publicUrl,
+  checkTwilioSignature,
+  createStreamToken,
+  checkStreamToken,
+} from './twilioAuth.js'
+import {
+  decideTransferTarget,
+  voicemailResponseTwiml,
+  afterDialTwiml,
+  saveVoicemail,
+} from './transfer.js'
+import { createCallQueue, holdTwiml, offerTwiml } from './callQueue.js'
+import {
+  createCallbackRequest,
+  normalizePhone,
+  listCallbacks,
+  getCallback,
+  claimCallback,
+  closeCallback,
+} from './callbacks.js'
+import { recordCallAnalysis, analyticsReport } from './callAnalysis.js'
+import { installLogRedaction, endpointPayload, redactText } from './redaction.js'
+import { createRealtimeProvider } from './realtimeProvider.js'
+import { startLocalDataRefresh, cachedLocalAnswer, fallbackLocalAnswer } from './localData.js'
+import { reloadAnswerTemplates, speakAnswer, hasAnswerTemplate } from './answers.js'
+import { reloadSchedule, scheduleContext, activeAnnouncements } from './schedule.js'
+import { keypadMenu, keypadMenuHint, createDigitCollector } from './dtmf.js'
+import { createSmsClient, sendSms, formatSmsSummary } from './sms.js'
+import { checkSupervisorToken, createSupervisorHub } from './supervisor.js'
+import {
+  renderMetrics,
+  activeCalls,
+  queuedCalls,
+  callDuration,
+  toolLatency,
+  toolErrors,
+  handoffs,
+  openaiErrors,
+  timeToFirstAudio,
+} from './metrics.js'
+import {
+  DEFAULT_LANGUAGE,
+  normalizeLanguage,
+  languageName,
+  voiceFor,
+  detectLanguage,
+} from './languages.js'
 import { parse as parseUrl } from 'url'
-import axios from 'axios'
 
 dotenv.config()
 
+// Console output goes through the PII rules from here on (redaction.js)
+installLogRedaction()
+
 const {
-  OPENAI_API_KEY,
   PORT = 8080,
   PROMPT_REFRESH_SECRET,
-  ROUTER_ENDPOINT,
-  ITEM_SEARCH_ENDPOINT,
-  PICKUP_ENDPOINT, // POST endpoint for pickup lookup
+  METRICS_TOKEN,
+  CALLBACK_STAFF_TOKEN,
 } = process.env
 
 // ---------------------------------------------------------------------------
 // 0. ENV GUARDS
 // ---------------------------------------------------------------------------
 
-if (!OPENAI_API_KEY) {
-  console.error('[Fatal] Missing OPENAI_API_KEY')
+// OpenAI (beta or GA) or Azure, see realtimeProvider.js
+const realtime = createRealtimeProvider()
+if (realtime.configProblem) {
+  console.error(`[Fatal] Realtime provider ${realtime.name}: ${realtime.configProblem}`)
   process.exit(1)
 }
-if (!ROUTER_ENDPOINT) {
-  console.warn('[Warn] ROUTER_ENDPOINT not set – router tool will fail.')
+console.log('[server] Realtime provider', realtime.name, `(${realtime.protocol} protocol)`)
+
+if (twilioAuthDisabled()) {
+  console.warn('[Warn] TWILIO_AUTH_DISABLED=true – Twilio requests are NOT authenticated.')
+} else {
+  // Without any of these every webhook and stream would be answered 403
+  const missing = ['TWILIO_AUTH_TOKEN', 'PUBLIC_BASE_URL', 'STREAM_TOKEN_SECRET'].filter(
+    (name) => !process.env[name]
+  )
+  if (missing.length) {
+    console.error(
+      `[Fatal] Missing ${missing.join(', ')} (or set TWILIO_AUTH_DISABLED=true for local dev)`
+    )
+    process.exit(1)
+  }
+}
+
+// Twilio REST (call redirects for transfer_to_human)
+const twilio = createTwilioClient()
+if (!twilio.configured) {
+  console.warn('[Warn] TWILIO_ACCOUNT_SID / TWILIO_AUTH_TOKEN not set – transfers will fail.')
+}
+
+// Staff hours live in the office schedule now, in ORG_TIMEZONE (schedule.js)
+if (process.env.TRANSFER_TIMEZONE) {
+  console.warn('[Warn] TRANSFER_TIMEZONE is no longer used; TRANSFER_HOURS follow ORG_TIMEZONE.')
 }
-if (!ITEM_SEARCH_ENDPOINT) {
-  console.warn('[Warn] ITEM_SEARCH_ENDPOINT not set – items tool will fail.')
+
+// Outbound SMS (send_sms_summary)
+const smsClient = createSmsClient()
+if (!smsClient.configured) {
+  console.warn('[Warn] SMS not configured (SMS_FROM_NUMBER / Twilio creds) – texts will fail.')
 }
-if (!PICKUP_ENDPOINT) {
-  console.warn('[Warn] PICKUP_ENDPOINT not set – pickup tool will fail.')
+
+// collect_digits purpose whose digits request_callback may use as the number
+const PHONE_DIGITS_PURPOSE = 'phone_number'
+
+// Longest we wait for the hold message to play before redirecting anyway
+const TRANSFER_HOLD_TIMEOUT_MS = 15000
+
+// A lookup still running after this long gets a spoken filler phrase
+const TOOL_FILLER_DELAY_MS = Number(process.env.TOOL_FILLER_DELAY_MS) || 1500
+const TOOL_FILLER_PHRASE = process.env.TOOL_FILLER_PHRASE || 'Let me check that for you.'
+
+// Graceful shutdown: on SIGTERM live calls get this long to finish; any still
+// open then hear SHUTDOWN_GOODBYE and are hung up.
+const SHUTDOWN_DEADLINE_MS = Number(process.env.SHUTDOWN_DEADLINE_MS) || 60000
+const SHUTDOWN_GOODBYE =
+  process.env.SHUTDOWN_GOODBYE ||
+  "I'm sorry, we have to end this call now. Please call us back in a minute. Goodbye."
+// Longest we wait for the goodbye to play before closing the sockets anyway
+const GOODBYE_TIMEOUT_MS = 10000
+
+// ---------------------------------------------------------------------------
+// 1. AGENT REGISTRY (prompts + tools, see agents.js)
+// ---------------------------------------------------------------------------
+
+// Returns what changed: { agents, answer_templates, prompt_versions,
+// schedule } (see agents.js / answers.js / promptVersions.js / schedule.js)
+async function reloadPromptsAndTemplates() {
+  const [agents, answerTemplates, promptVersions, schedule] = await Promise.all([
+    reloadAgentsFromDB(),
+    reloadAnswerTemplates(),
+    reloadPromptVersions(),
+    reloadSchedule(),
+  ])
+  return { agents, answer_templates: answerTemplates, prompt_versions: promptVersions, schedule }
 }
 
+// Initial load on startup, then on every edit (configWatcher.js)
+await reloadPromptsAndTemplates()
+watchConfigChanges(reloadPromptsAndTemplates)
+
+// Items / locations snapshot for lookups whose endpoint is down (localData.js)
+await startLocalDataRefresh()
+
 // ---------------------------------------------------------------------------
-// 1. PROMPT CACHE
+// 2. HTTP SERVER (/refresh-prompts, /prompt-versions, /queue, /callbacks,
+//    /analytics/report, /metrics, /healthz, /readyz, Twilio voice, queue,
+//    transfer and voicemail webhooks)
 // ---------------------------------------------------------------------------
 
-const PROMPTS = {
-  router: '',
-  items: '',
-  pickup: '',
+// Set on SIGTERM: new calls are refused while live ones finish
+let draining = false
+
+// null when ready, otherwise the reasons we are not
+async function readinessProblems() {
+  const problems = []
+  if (draining) problems.push('draining')
+
+  const missing = missingPrompts()
+  if (missing.length) problems.push(`missing prompts: ${missing.join(', ')}`)
+
+  const supabaseError = await pingSupabase()
+  if (supabaseError) problems.push(`supabase unreachable: ${supabaseError}`)
+
+  return problems.length ? problems : null
+}
+
+// Admin routes share the /refresh-prompts secret
+function isAdmin(req) {
+  const authHeader = req.headers['authorization'] || ''
+  return Boolean(PROMPT_REFRESH_SECRET) && authHeader === `Bearer ${PROMPT_REFRESH_SECRET}`
+}
+
+// Callback work queue: staff token or the admin secret
+function isCallbackStaff(req) {
+  const authHeader = req.headers['authorization'] || ''
+  return (
+    isAdmin(req) ||
+    (Boolean(CALLBACK_STAFF_TOKEN) && authHeader === `Bearer ${CALLBACK_STAFF_TOKEN}`)
+  )
+}
+
+// { data } -> 200 JSON, { error, code } -> status by code (callbacks.js,
+// callAnalysis.js)
+const RESULT_ERROR_STATUS = { bad_request: 400, not_found: 404, conflict: 409, failed: 502 }
+
+function sendResult(res, result) {
+  if (result.error) {
+    res.writeHead(RESULT_ERROR_STATUS[result.code] || 500, { 'Content-Type': 'text/plain' })
+    return res.end(result.error)
+  }
+  res.writeHead(200, { 'Content-Type': 'application/json' })
+  res.end(JSON.stringify(result.data))
+}
+
+const MAX_BODY_BYTES = 1e6
+
+// Resolves the body, or null once it passes MAX_BODY_BYTES: that request is
+// answered 413 here and the rest of it is ignored
+function readBody(req, res) {
+  return new Promise((resolve, reject) => {
+    let body = ''
+    let tooLarge = false
+    req.on('data', (chunk) => {
+      if (tooLarge) return
+      body += chunk
+      if (body.length > MAX_BODY_BYTES) {
+        tooLarge = true
+        body = ''
+        res.writeHead(413, { 'Content-Type': 'text/plain', Connection: 'close' })
+        res.end('body too large')
+        resolve(null)
+      }
+    })
+    req.on('end', () => resolve(body))
+    req.on('error', reject)
+  })
+}
+
+// Twilio webhook params, or null when readBody already answered
+async function readParams(req, res) {
+  const body = await readBody(req, res)
+  return body === null ? null : Object.fromEntries(new URLSearchParams(body))
+}
+
+// TwiML that starts the media stream, with a signed short-lived token
+// (none with TWILIO_AUTH_DISABLED: nothing checks it)
+function streamTwiml(callSid, from, language) {
+  const params = [
+    ...(twilioAuthDisabled() ? [] : [['token', createStreamToken(callSid)]]),
+    ['from', from || ''],
+    ['language', language || ''],
+  ]
+    .map(([name, value]) => `<Parameter name="${name}" value="${escapeXml(value)}" />`)
+    .join('')
+
+  return (
+    '<?xml version="1.0" encoding="UTF-8"?>' +
+    '<Response><Connect>' +
+    `<Stream url="${escapeXml(publicUrl('/twilio-stream', { websocket: true }))}">${params}</Stream>` +
+    '</Connect></Response>'
+  )
+}
+
+function sendTwiml(res, twiml) {
+  res.writeHead(200, { 'Content-Type': 'text/xml' })
+  res.end(twiml)
+}
+
+// Checks X-Twilio-Signature on a webhook; answers 403 and returns false if
+// it doesn't match
+function verifyTwilioWebhook(req, res, params) {
+  if (twilioAuthDisabled()) return true
+
+  const reason = checkTwilioSignature({
+    url: publicUrl(req.url),
+    params,
+    signature: req.headers['x-twilio-signature'],
+  })
+  if (!reason) return true
+
+  console.warn('[Auth] Rejected', parseUrl(req.url || '').pathname, reason, params.CallSid || '')
+  res.writeHead(403, { 'Content-Type': 'text/plain' })
+  res.end('forbidden')
+  return false
 }
 
-async function reloadPromptsFromDB() {
+// Overflow queue (MAX_CONCURRENT_CALLS). A freed slot moves the next caller
+// onto the stream with a call update; without REST credentials callers
+// move on their next /twilio/queue-wait instead.
+async function promoteQueuedCall({ callSid, from, language }) {
   try {
-    const { data, error } = await supabase
-      .from('cl_phone_agents')
-      .select('slug, system_prompt')
-      .in('slug', ['router', 'items', 'locations'])
+    await twilio.updateCall(callSid, { twiml: streamTwiml(callSid, from, language) })
+    return true
+  } catch (err) {
+    console.warn('[Queue] Could not promote', callSid, err?.message || err)
+    return false
+  }
+}
 
-    if (error) {
-      console.error('[Prompts] Error loading from DB:', error)
-      return
+const callQueue = createCallQueue({ onPromote: twilio.configured ? promoteQueuedCall : null })
+
+// SIGTERM: callers still waiting for a stream get the callback / voicemail
+// offer now, or on their next /twilio/queue-wait without REST credentials
+function offerQueuedCallsOnDrain() {
+  const callers = callQueue.drain()
+  if (!callers.length || !twilio.configured) return Promise.resolve()
+
+  console.log('[Shutdown] Offering', callers.length, 'queued callers a callback or voicemail')
+  const twiml = offerTwiml(publicUrl('/twilio/queue-choice'))
+  return Promise.all(
+    callers.map(({ callSid }) =>
+      twilio
+        .updateCall(callSid, { twiml })
+        .catch((err) => console.warn('[Queue] Could not redirect', callSid, err?.message || err))
+    )
+  )
+}
+
+async function handleHttpRequest(req, res) {
+  const { pathname, query } = parseUrl(req.url || '', true)
+
+  if (req.method === 'GET' && pathname === '/healthz') {
+    res.writeHead(200, { 'Content-Type': 'text/plain' })
+    return res.end('ok')
+  }
+
+  if (req.method === 'GET' && pathname === '/readyz') {
+    const problems = await readinessProblems()
+    if (problems) {
+      res.writeHead(503, { 'Content-Type': 'text/plain' })
+      return res.end(problems.join('\n'))
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain' })
+    return res.end('ready')
+  }
+
+  if (req.method === 'POST' && pathname === '/twilio/voice') {
+    const params = await readParams(req, res)
+    if (!params) return
+
+    // Twilio retries a 5xx on the number's fallback URL
+    if (draining) {
+      res.writeHead(503, { 'Content-Type': 'text/plain' })
+      return res.end('shutting down')
+    }
+
+    if (!verifyTwilioWebhook(req, res, params)) return
+
+    if (!params.CallSid) {
+      res.writeHead(400, { 'Content-Type': 'text/plain' })
+      return res.end('missing CallSid')
+    }
+
+    // ?language=yi on a dedicated number's webhook URL preselects the language
+    const call = {
+      callSid: params.CallSid,
+      from: params.From,
+      language: normalizeLanguage(query.language),
+    }
+
+    if (!callQueue.admit(call)) {
+      const position = callQueue.enqueue(call)
+      return sendTwiml(res, holdTwiml(position, publicUrl('/twilio/queue-wait')))
     }
+    return sendTwiml(res, streamTwiml(call.callSid, call.from, call.language))
+  }
+
+  // Back from a hold segment: connect, keep holding, or offer a way out
+  if (req.method === 'POST' && pathname === '/twilio/queue-wait') {
+    const params = await readParams(req, res)
+    if (!params) return
+    if (!verifyTwilioWebhook(req, res, params)) return
+
+    const next = callQueue.poll(params.CallSid)
+    if (next.action === 'connect') {
+      return sendTwiml(res, streamTwiml(params.CallSid, next.from || params.From, next.language))
+    }
+    if (next.action === 'hold') {
+      return sendTwiml(res, holdTwiml(next.position, publicUrl('/twilio/queue-wait')))
+    }
+    return sendTwiml(res, offerTwiml(publicUrl('/twilio/queue-choice')))
+  }
 
-    for (const row of data || []) {
-      if (row.slug === 'router') PROMPTS.router = row.system_prompt || ''
-      if (row.slug === 'items') PROMPTS.items = row.system_prompt || ''
-      if (row.slug === 'locations') PROMPTS.pickup = row.system_prompt || ''
+  // 1 = call me back, anything else (or nothing) = voicemail
+  if (req.method === 'POST' && pathname === '/twilio/queue-choice') {
+    const params = await readParams(req, res)
+    if (!params) return
+    if (!verifyTwilioWebhook(req, res, params)) return
+
+    const phone = normalizePhone(params.From)
+    if (params.Digits === '1' && phone) {
+      const result = await createCallbackRequest({
+        callSid: params.CallSid,
+        phone,
+        source: 'queue_timeout',
+      })
+      // No request saved: a voicemail is the only way they reach us
+      if (result.status === 'failed') {
+        console.warn('[Queue] Callback request failed; offering voicemail', params.CallSid)
+        return sendTwiml(res, `<?xml version="1.0" encoding="UTF-8"?>${voicemailResponseTwiml()}`)
+      }
+      return sendTwiml(
+        res,
+        '<?xml version="1.0" encoding="UTF-8"?><Response>' +
+          '<Say>Thank you. We will call you back at this number as soon as we can. Goodbye.</Say>' +
+          '<Hangup /></Response>'
+      )
     }
+    return sendTwiml(res, `<?xml version="1.0" encoding="UTF-8"?>${voicemailResponseTwiml()}`)
+  }
+
+  // <Dial> / <Enqueue> action of a staff transfer (transfer.js)
+  if (req.method === 'POST' && pathname === '/twilio/transfer-status') {
+    const params = await readParams(req, res)
+    if (!params) return
+    if (!verifyTwilioWebhook(req, res, params)) return
 
     console.log(
-      '[Prompts] Reloaded:',
-      'router=', PROMPTS.router ? 'OK' : 'MISSING',
-      'items=', PROMPTS.items ? 'OK' : 'MISSING',
-      'pickup=', PROMPTS.pickup ? 'OK' : 'MISSING'
+      '[Transfer] Ended',
+      params.CallSid,
+      params.DialCallStatus || params.QueueResult || 'unknown'
     )
-  } catch (e) {
-    console.error('[Prompts] Unexpected error reloading:', e)
+    return sendTwiml(res, `<?xml version="1.0" encoding="UTF-8"?>${afterDialTwiml(params)}`)
   }
-}
 
-// Initial load on startup
-await reloadPromptsFromDB()
+  // <Record> action of the built-in voicemail (transfer.js): without it
+  // Twilio would post the recording back to the page that played it
+  if (req.method === 'POST' && pathname === '/twilio/voicemail-done') {
+    const params = await readParams(req, res)
+    if (!params) return
+    if (!verifyTwilioWebhook(req, res, params)) return
 
-// ---------------------------------------------------------------------------
-// 2. HTTP SERVER (for /refresh-prompts)
-// ---------------------------------------------------------------------------
+    console.log('[Transfer] Voicemail', params.CallSid, params.RecordingDuration || '?', 's')
+    await saveVoicemail(params)
+    return sendTwiml(res, '<?xml version="1.0" encoding="UTF-8"?><Response><Hangup /></Response>')
+  }
+
+  if (req.method === 'GET' && pathname === '/queue') {
+    if (!isAdmin(req)) {
+      res.writeHead(401, { 'Content-Type': 'text/plain' })
+      return res.end('unauthorized')
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' })
+    return res.end(JSON.stringify(callQueue.state()))
+  }
+
+  // Staff callback queue:
+  //   GET  /callbacks?status=open,claimed   (default: open and claimed)
+  //   GET  /callbacks/:id                   includes the transcript
+  //   POST /callbacks/:id/claim  { staff }
+  //   POST /callbacks/:id/close  { staff, outcome?, notes? }
+  const callbackRoute = pathname.match(/^\/callbacks(?:\/([\w-]+)(?:\/(claim|close))?)?$/)
+  if (callbackRoute) {
+    if (!isCallbackStaff(req)) {
+      res.writeHead(401, { 'Content-Type': 'text/plain' })
+      return res.end('unauthorized')
+    }
+
+    const [, id, action] = callbackRoute
+    if (req.method === 'GET' && !id) {
+      return sendResult(res, await listCallbacks({ status: query.status || null }))
+    }
+    if (req.method === 'GET' && id && !action) {
+      return sendResult(res, await getCallback(id))
+    }
+    if (req.method === 'POST' && action) {
+      let body = {}
+      try {
+        const raw = await readBody(req, res)
+        if (raw === null) return
+        body = JSON.parse(raw || '{}')
+      } catch {}
+
+      const staff = typeof body.staff === 'string' ? body.staff.trim() : ''
+      return sendResult(
+        res,
+        action === 'claim'
+          ? await claimCallback(id, { staff })
+          : await closeCallback(id, {
+              staff,
+              outcome: typeof body.outcome === 'string' ? body.outcome : null,
+              notes: typeof body.notes === 'string' ? body.notes : null,
+            })
+      )
+    }
+  }
+
+  // ?from=YYYY-MM-DD&to=YYYY-MM-DD (default: the last 7 days)
+  if (req.method === 'GET' && pathname === '/analytics/report') {
+    if (!isAdmin(req)) {
+      res.writeHead(401, { 'Content-Type': 'text/plain' })
+      return res.end('unauthorized')
+    }
+    return sendResult(res, await analyticsReport({ from: query.from || null, to: query.to || null }))
+  }
 
-const httpServer = http.createServer(async (req, res) => {
   if (req.method === 'POST' && req.url === '/refresh-prompts') {
+    if (!isAdmin(req)) {
+      res.writeHead(401, { 'Content-Type': 'text/plain' })
+      return res.end('unauthorized')
+    }
+
+    const changes = await reloadPromptsAndTemplates()
+    res.writeHead(200, { 'Content-Type': 'application/json' })
+    return res.end(JSON.stringify(changes))
+  }
+
+  if (pathname === '/prompt-versions' || pathname === '/prompt-versions/rollback') {
+    if (!isAdmin(req)) {
+      res.writeHead(401, { 'Content-Type': 'text/plain' })
+      return res.end('unauthorized')
+    }
+
+    if (req.method === 'GET' && pathname === '/prompt-versions') {
+      res.writeHead(200, { 'Content-Type': 'application/json' })
+      return res.end(JSON.stringify(listPromptVersions()))
+    }
+
+    // POST { agent, version }
+    if (req.method === 'POST' && pathname === '/prompt-versions/rollback') {
+      let body = {}
+      try {
+        const raw = await readBody(req, res)
+        if (raw === null) return
+        body = JSON.parse(raw || '{}')
+      } catch {}
+
+      const version = Number(body.version)
+      const problem =
+        typeof body.agent !== 'string' || !Number.isInteger(version)
+          ? 'agent and version are required'
+          : await rollbackPromptVersion(body.agent, version)
+
+      if (problem) {
+        res.writeHead(400, { 'Content-Type': 'text/plain' })
+        return res.end(problem)
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' })
+      return res.end(JSON.stringify(listPromptVersions()))
+    }
+  }
+
+  if (req.method === 'GET' && pathname === '/metrics') {
     const authHeader = req.headers['authorization'] || ''
-    if (!PROMPT_REFRESH_SECRET || authHeader !== `Bearer ${PROMPT_REFRESH_SECRET}`) {
+    if (METRICS_TOKEN && authHeader !== `Bearer ${METRICS_TOKEN}`) {
       res.writeHead(401, { 'Content-Type': 'text/plain' })
       return res.end('unauthorized')
     }
 
-    await reloadPromptsFromDB()
-    res.writeHead(200, { 'Content-Type': 'text/plain' })
-    return res.end('ok')
+    queuedCalls.set({}, callQueue.waitingCount)
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' })
+    return res.end(renderMetrics())
   }
 
   res.writeHead(404, { 'Content-Type': 'text/plain' })
   res.end('not found')
+}
+
+// A failing route answers 500 instead of taking live calls down with it
+const httpServer = http.createServer(async (req, res) => {
+  try {
+    await handleHttpRequest(req, res)
+  } catch (err) {
+    console.error('[HTTP] Error handling', req.method, parseUrl(req.url || '').pathname, err)
+    if (!res.headersSent) res.writeHead(500, { 'Content-Type': 'text/plain' })
+    res.end('internal error')
+  }
 })
 
 // ---------------------------------------------------------------------------
 // 3. WS SERVER (Twilio <-> OpenAI Realtime)
 // ---------------------------------------------------------------------------
 
-const wss = new WebSocketServer({ server: httpServer })
+// Media streams: rejects the upgrade unless Twilio signed it
+// (X-Twilio-Signature over the wss:// URL). The stream token is checked
+// later, on the `start` event. /supervisor needs SUPERVISOR_TOKEN instead.
+function verifyUpgrade(info, done) {
+  const { pathname, query } = parseUrl(info.req.url || '', true)
+
+  if (pathname === '/supervisor') {
+    const reason = checkSupervisorToken(info.req, query)
+    if (reason) {
+      console.warn('[Auth] Rejected supervisor:', reason, info.req.socket?.remoteAddress)
+      return done(false, 401, 'Unauthorized')
+    }
+    return done(true)
+  }
+
+  if (draining) return done(false, 503, 'Shutting down')
+  if (twilioAuthDisabled()) return done(true)
+
+  const reason = checkTwilioSignature({
+    url: publicUrl(info.req.url || '', { websocket: true }),
+    signature: info.req.headers['x-twilio-signature'],
+  })
+  if (reason) {
+    console.warn(
+      '[Auth] Rejected WS upgrade:',
+      reason,
+      info.req.url,
+      info.req.socket?.remoteAddress
+    )
+    return done(false, 403, 'Forbidden')
+  }
+  done(true)
+}
+
+const wss = new WebSocketServer({
+  server: httpServer,
+  verifyClient: verifyUpgrade,
+})
 
 httpServer.listen(PORT, () => {
   console.log(`[server] Listening on port ${PORT} (HTTP + WS)`)
 })
 
+// ---------------------------------------------------------------------------
+// 3a. GRACEFUL SHUTDOWN (SIGTERM: drain, then goodbye at the deadline)
+// ---------------------------------------------------------------------------
+
+// One handle per open media stream (see `liveCall` below); also what the
+// supervisor endpoint lists and controls
+const liveCalls = new Set()
+// callLog.end() promises, awaited before exiting
+const callLogFlushes = new Set()
+// queued callers being redirected to the offer (offerQueuedCallsOnDrain)
+let queueRedirects = Promise.resolve()
+
+function callFinished(call, flushed) {
+  liveCalls.delete(call)
+  callLogFlushes.add(flushed)
+  flushed.finally(() => callLogFlushes.delete(flushed))
+  if (draining && !liveCalls.size) exitAfterDrain()
+}
+
+let exiting = false
+async function exitAfterDrain() {
+  if (exiting) return
+  exiting = true
+  console.log('[Shutdown] All calls finished; exiting')
+  await Promise.allSettled([...callLogFlushes, queueRedirects])
+  wss.close()
+  httpServer.close()
+  process.exit(0)
+}
+
+process.on('SIGTERM', () => {
+  if (draining) return
+  draining = true
+  console.log(
+    '[Shutdown] SIGTERM: draining',
+    liveCalls.size,
+    'calls, deadline',
+    SHUTDOWN_DEADLINE_MS,
+    'ms'
+  )
+  queueRedirects = offerQueuedCallsOnDrain()
+  if (!liveCalls.size) return exitAfterDrain()
+
+  setTimeout(() => {
+    console.log('[Shutdown] Deadline reached; hanging up', liveCalls.size, 'calls')
+    for (const call of liveCalls) call.hangUpWithGoodbye()
+    // Sockets normally close well before this
+    setTimeout(exitAfterDrain, GOODBYE_TIMEOUT_MS + 1000).unref()
+  }, SHUTDOWN_DEADLINE_MS).unref()
+})
+
+// Only calls past Twilio `start` are shown to supervisors
+const supervisorHub = createSupervisorHub({
+  listCalls: () => [...liveCalls].filter((c) => c.callSid),
+})
+
 wss.on('connection', async (twilioWs, req) => {
   const { pathname } = parseUrl(req.url || '', true)
+  if (pathname === '/supervisor') {
+    supervisorHub.handleConnection(twilioWs)
+    return
+  }
   if (pathname !== '/twilio-stream') {
     console.log('[WS] Unknown path:', pathname)
     twilioWs.close()
@@ -118,36 +701,124 @@ wss.on('connection', async (twilioWs, req) => {
 
   console.log('[WS] New Twilio media stream connection')
 
-  const openaiWs = new WebSocket(
-    'wss://api.openai.com/v1/realtime?model=gpt-4o-realtime-preview',
-    {
-      headers: {
-        Authorization: `Bearer ${OPENAI_API_KEY}`,
-        'OpenAI-Beta': 'realtime=v1',
-      },
-    }
-  )
+  // Agents as loaded when the call came in; reloads apply to new calls only
+  const agents = snapshotAgents()
+
+  // Office status + announcements as of the start of the call (schedule.js)
+  const scheduleNote = scheduleContext()
+  const urgentAnnouncements = activeAnnouncements().filter((a) => a.urgent)
+
+  // The model is fixed per Realtime connection: the entry agent's wins
+  const sessionModel = agents.getAgent(ENTRY_AGENT)?.session.model || null
+
+  const openaiWs = realtime.connect(sessionModel)
 
   // Per-call state
-  let isAssistantSpeaking = false
-  let currentAgent = 'router'
+  let currentAgent = ENTRY_AGENT
+  let currentLanguage = DEFAULT_LANGUAGE
+  let languageSource = 'default' // 'parameter' | 'keypad' | 'detected'
+  // slug -> prompt version for this call (promptVersions.js), set on start
+  let promptVersions = new Map()
+  let callerTurnCount = 0
+  let assistantAudioStarted = false
   let callSid = null
   let streamSid = null
+  let callerNumber = null
   let openaiReady = false
   let twilioStarted = false
   let greetingSent = false
+  // urgent announcements still to be read once the greeting is done
+  let pendingAnnouncements = []
+  let callStartedAt = null
+
+  // Time-to-first-audio: set when the caller stops speaking, cleared by the
+  // first audio delta that follows
+  let callerSpeechEndedAt = null
 
   // Response + logging helpers
   let responseActive = false
   let currentAssistantTranscript = ''
 
+  // Barge-in: playback tracking via Twilio marks. Each outbound audio chunk
+  // is followed by a mark named `<item_id>:<ms sent so far>`; when Twilio
+  // echoes the mark back, that much of the item has actually been played.
+  let lastAssistantItemId = null
+  let assistantAudioSentMs = 0
+  let assistantAudioPlayedMs = 0
+  let pendingMarks = []
+
+  // Human transfer: set when transfer_to_human is called, executed once the
+  // hold message has finished playing
+  let pendingTransfer = null
+  let transferred = false
+
+  // Keypad digit collection for an open collect_digits call
+  let digitCollector = null
+  // digits from the last finished collect_digits with purpose 'phone_number'
+  // (request_callback 'keypad'); other purposes never become a callback number
+  let lastPhoneDigits = null
+
+  // response.create payloads held back until the active response finishes,
+  // sent one per response.done in the order they were asked for
+  const queuedResponses = []
+  // an out-of-band response was requested but response.created not seen yet
+  let responseRequested = false
+  // event_id of that response.create, to tell its errors from others
+  let requestedResponseEventId = null
+  let responseCreateCount = 0
+
   // Map of function_call call_id -> toolName
   const functionCallMap = new Map()
 
+  // toolName -> last successful output (what send_sms_summary texts)
+  const lastToolResults = new Map()
+
+  // Persisted transcript (cl_phone_calls / cl_phone_call_turns)
+  const callLog = createCallLog()
+  // Post-call analysis, started once at Twilio stop or socket close
+  let analysis = null
+
+  // Stereo recording (caller / assistant), uploaded when the call closes
+  const recorder = recordingEnabled() ? createCallRecorder() : null
+
+  // Shutdown goodbye: set once the deadline hits, sockets close after it plays
+  let pendingGoodbye = null
+
+  // Supervisor subscribers: 'event' (turns) and 'audio'
+  const supervision = new EventEmitter()
+
+  const liveCall = {
+    get callSid() {
+      return callSid
+    },
+    info,
+    subscribe,
+    whisper,
+    forceHandoff,
+    forceTransfer,
+    hangUpWithGoodbye,
+  }
+  liveCalls.add(liveCall)
+
   function maybeSendGreeting() {
     if (!openaiReady || !twilioStarted || greetingSent) return
 
     greetingSent = true
+
+    // Recording notice first, out of band so it stays out of the conversation
+    const notice = consentNotice()
+    if (notice) {
+      console.log('[Greeting] Speaking recording notice', callSid)
+      sendResponseCreate({
+        response: {
+          conversation: 'none',
+          tool_choice: 'none',
+          metadata: { purpose: 'consent' },
+          instructions: `Say only this, in ${languageName(currentLanguage)}: "${notice}"`,
+        },
+      })
+    }
+
     console.log('[Greeting] Sending GREETING_TRIGGER to OpenAI')
 
     openaiWs.send(
@@ -161,7 +832,23 @@ wss.on('connection', async (twilioWs, req) => {
       })
     )
 
-    openaiWs.send(JSON.stringify({ type: 'response.create' }))
+    createResponseWhenIdle()
+    pendingAnnouncements = urgentAnnouncements.map((a) => a.message)
+  }
+
+  // Urgent announcements, read in the caller's language straight after the
+  // greeting (the consent notice doesn't count)
+  function maybePlayAnnouncements(response) {
+    if (!pendingAnnouncements.length || response?.metadata?.purpose === 'consent') return
+
+    const messages = pendingAnnouncements
+    pendingAnnouncements = []
+    console.log('[Schedule] Reading', messages.length, 'urgent announcement(s)', callSid)
+    createResponseWhenIdle({
+      tool_choice: 'none',
+      metadata: { purpose: 'announcement' },
+      instructions: `Read this announcement to the caller, in ${languageName(currentLanguage)}, then ask how you can help: ${messages.map((m) => `"${m}"`).join(' ')}`,
+    })
   }
 
   // ---------------- OpenAI WS: on open ----------------
@@ -169,37 +856,21 @@ wss.on('connection', async (twilioWs, req) => {
   openaiWs.on('open', () => {
     console.log('[OpenAI] Realtime session opened')
 
-    const routerPrompt =
-      PROMPTS.router || 'You are the Chasdei Lev router agent.'
+    // The entry agent, unless a keypad press already switched before we opened
+    const openingAgent = agents.getAgent(currentAgent)
 
     openaiWs.send(
-      JSON.stringify({
-        type: 'session.update',
-        session: {
-          instructions: routerPrompt,
-          modalities: ['audio', 'text'],
-          voice: 'cedar',
-          input_audio_format: 'g711_ulaw',
-          output_audio_format: 'g711_ulaw',
-          turn_detection: { type: 'server_vad' },
-          tools: [
-            {
-              type: 'function',
-              name: 'determine_route',
-              description:
-                'Classify caller intent for Chasdei Lev phone calls and decide which agent should handle it.',
-              parameters: {
-                type: 'object',
-                properties: {
-                  message: { type: 'string' },
-                  ai_classification: { type: 'string' },
-                },
-                required: ['message', 'ai_classification'],
-              },
-            },
-          ],
-        },
-      })
+      JSON.stringify(
+        realtime.sessionUpdate(
+          {
+            instructions: sessionInstructions(openingAgent),
+            voice: agentVoice(openingAgent),
+            ...sessionSettings(openingAgent),
+            tools: agents.sessionTools(openingAgent),
+          },
+          { initial: true }
+        )
+      )
     )
 
     openaiReady = true
@@ -213,15 +884,49 @@ wss.on('connection', async (twilioWs, req) => {
       const msg = JSON.parse(raw.toString())
 
       if (msg.event === 'start') {
-        callSid = msg.start?.callSid || null
+        const startCallSid = msg.start?.callSid || null
+
+        if (!twilioAuthDisabled()) {
+          const reason = checkStreamToken(
+            msg.start?.customParameters?.token,
+            startCallSid
+          )
+          if (reason) {
+            console.warn('[Auth] Rejected media stream:', reason, startCallSid)
+            // the close handler tears down the OpenAI socket too
+            twilioWs.close()
+            return
+          }
+        }
+
+        callSid = startCallSid
         streamSid = msg.start?.streamSid || null
+        callerNumber = msg.start?.customParameters?.from || null
         console.log('[Twilio] Call started', callSid, 'streamSid=', streamSid)
+        callLog.start({ callSid, streamSid })
+        callStartedAt = Date.now()
+        activeCalls.inc()
+        callQueue.streamStarted(callSid)
+        recorder?.start()
+        supervisorHub.announce('call_started', liveCall)
+
+        assignCallPromptVersions()
+
+        const paramLanguage = normalizeLanguage(msg.start?.customParameters?.language)
+        if (paramLanguage) setLanguage(paramLanguage, 'parameter')
         twilioStarted = true
         maybeSendGreeting()
       }
 
       if (msg.event === 'media') {
-        if (!isAssistantSpeaking) {
+        // Always forward caller audio so server VAD can detect barge-in
+        // (but nothing before the stream has been authenticated, and nothing
+        // that could interrupt the shutdown goodbye)
+        if (twilioStarted) {
+          recorder?.addCallerAudio(msg.media.payload, msg.media.timestamp)
+          publishAudio('caller', msg.media.payload)
+        }
+        if (twilioStarted && !pendingGoodbye && openaiWs.readyState === WebSocket.OPEN) {
           openaiWs.send(
             JSON.stringify({
               type: 'input_audio_buffer.append',
@@ -231,8 +936,17 @@ wss.on('connection', async (twilioWs, req) => {
         }
       }
 
+      if (msg.event === 'mark') {
+        handlePlaybackMark(msg.mark?.name)
+      }
+
+      if (msg.event === 'dtmf' && twilioStarted) {
+        handleDtmf(String(msg.dtmf?.digit ?? ''))
+      }
+
       if (msg.event === 'stop') {
         console.log('[Twilio] Call ended', callSid)
+        analyzeAfterCall(callLog.end(transferred ? 'transferred' : 'twilio_stop'))
         try {
           openaiWs.close()
         } catch {}
@@ -244,6 +958,25 @@ wss.on('connection', async (twilioWs, req) => {
 
   twilioWs.on('close', () => {
     console.log('[WS] Twilio websocket closed')
+    if (pendingTransfer) clearTimeout(pendingTransfer.timer)
+    if (pendingGoodbye) clearTimeout(pendingGoodbye.timer)
+    digitCollector?.cancel()
+    const flushed = callLog.end('socket_closed')
+    callFinished(
+      liveCall,
+      Promise.all([
+        flushed,
+        recorder && uploadRecording(recorder, { callSid, callLog }),
+        analyzeAfterCall(flushed),
+      ])
+    )
+    if (callStartedAt) {
+      supervisorHub.announce('call_ended', liveCall)
+      activeCalls.dec()
+      callQueue.streamEnded(callSid)
+      callDuration.observe({}, (Date.now() - callStartedAt) / 1000)
+      callStartedAt = null
+    }
     try {
       openaiWs.close()
     } catch {}
@@ -259,19 +992,32 @@ wss.on('connection', async (twilioWs, req) => {
   // ---------------- OpenAI -> Twilio ----------------
 
   openaiWs.on('message', async (raw) => {
-    const event = JSON.parse(raw.toString())
+    // GA event names whatever the provider speaks (realtimeProvider.js)
+    const event = realtime.normalizeEvent(JSON.parse(raw.toString()))
 
     switch (event.type) {
       // ---- RESPONSE LIFECYCLE ----
       case 'response.created': {
         responseActive = true
+        responseRequested = false
         currentAssistantTranscript = ''
+        if (pendingTransfer) pendingTransfer.holdStarted = true
+        if (pendingGoodbye && event.response?.metadata?.purpose === 'goodbye') {
+          pendingGoodbye.started = true
+        }
         break
       }
 
       // ---- AUDIO OUT ----
-      case 'response.audio.delta': {
-        isAssistantSpeaking = true
+      case 'response.output_audio.delta': {
+        assistantAudioStarted = true
+        if (callerSpeechEndedAt) {
+          timeToFirstAudio.observe(
+            { agent: currentAgent },
+            (Date.now() - callerSpeechEndedAt) / 1000
+          )
+          callerSpeechEndedAt = null
+        }
         const b64 = event.delta
         if (b64 && streamSid) {
           twilioWs.send(
@@ -281,36 +1027,81 @@ wss.on('connection', async (twilioWs, req) => {
               media: { payload: b64 },
             })
           )
+          sendPlaybackMark(event.item_id, b64)
+          recorder?.addAssistantAudio(b64)
+          publishAudio('assistant', b64)
         } else if (!streamSid) {
           console.warn('[Twilio] Missing streamSid, cannot send audio')
         }
         break
       }
 
-      case 'response.audio_transcript.delta': {
+      case 'response.output_audio_transcript.delta': {
         if (typeof event.delta === 'string') {
           currentAssistantTranscript += event.delta
         }
         break
       }
 
-      case 'response.audio_transcript.done': {
+      case 'response.output_audio_transcript.done': {
         if (currentAssistantTranscript.trim()) {
           console.log(
             `[Assistant][${currentAgent}]`,
             currentAssistantTranscript.trim()
           )
+          recordTurn({
+            role: 'assistant',
+            agent: currentAgent,
+            text: currentAssistantTranscript.trim(),
+          })
         }
         break
       }
 
-      case 'response.audio.done': {
+      // ---- CALLER SPEECH (input_audio_transcription) ----
+      case 'conversation.item.input_audio_transcription.completed': {
+        const text = (event.transcript || '').trim()
+        if (text) {
+          console.log(`[Caller][${currentAgent}]`, text)
+          recordTurn({ role: 'caller', agent: currentAgent, text })
+
+          // Language detection runs once, on the first caller turn, and only
+          // if nothing more explicit chose the language already
+          if (callerTurnCount++ === 0 && languageSource === 'default') {
+            const detected = detectLanguage(text)
+            if (detected && detected !== currentLanguage) setLanguage(detected, 'detected')
+          }
+        }
+        break
+      }
+
+      case 'conversation.item.input_audio_transcription.failed': {
+        console.warn('[Caller] Transcription failed', event.error)
+        break
+      }
+
+      case 'response.output_audio.done': {
         break
       }
 
       case 'response.done': {
         responseActive = false
-        isAssistantSpeaking = false
+        flushQueuedResponse()
+        maybePlayAnnouncements(event.response)
+        maybeExecuteTransfer()
+        maybeHangUp()
+        break
+      }
+
+      // ---- BARGE-IN ----
+      case 'input_audio_buffer.speech_started': {
+        callerSpeechEndedAt = null
+        handleBargeIn()
+        break
+      }
+
+      case 'input_audio_buffer.speech_stopped': {
+        callerSpeechEndedAt = Date.now()
         break
       }
 
@@ -365,6 +1156,13 @@ wss.on('connection', async (twilioWs, req) => {
 
       case 'error': {
         console.error('[OpenAI error event]', event)
+        openaiErrors.inc({ type: event.error?.type || 'unknown' })
+        // A rejected response.create never produces response.done. Other
+        // errors (a late cancel or truncate) leave the pending one alone.
+        if (responseRequested && event.error?.event_id === requestedResponseEventId) {
+          responseRequested = false
+          flushQueuedResponse()
+        }
         break
       }
 
@@ -388,147 +1186,204 @@ wss.on('connection', async (twilioWs, req) => {
   })
 
   // -------------------------------------------------------------------------
-  // 4. HANDOFF DETECTOR (JSON handoffs via text, if ever used)
-// ---------------------------------------------------------------------------
+  // 3b. BARGE-IN (Twilio marks + response.cancel / clear / truncate)
+  // -------------------------------------------------------------------------
 
-  function looksLikeHandoff(text) {
-    try {
-      const obj = JSON.parse(text)
-      return obj && obj.intent && obj.handoff_from
-    } catch {
-      return false
+  function sendPlaybackMark(itemId, b64) {
+    if (!itemId) return
+
+    if (itemId !== lastAssistantItemId) {
+      lastAssistantItemId = itemId
+      assistantAudioSentMs = 0
+      assistantAudioPlayedMs = 0
     }
+
+    // g711 μ-law @ 8kHz: one byte per sample, 8 bytes per millisecond
+    assistantAudioSentMs += Math.floor(Buffer.from(b64, 'base64').length / 8)
+
+    const name = `${itemId}:${assistantAudioSentMs}`
+    pendingMarks.push(name)
+    twilioWs.send(JSON.stringify({ event: 'mark', streamSid, mark: { name } }))
   }
 
-  // -------------------------------------------------------------------------
-  // 5. TOOL CALL HANDLING
-// ---------------------------------------------------------------------------
+  function handlePlaybackMark(name) {
+    if (!name) return
 
-  async function handleToolCall(toolName, args, callId) {
-    try {
-      // ---------- ROUTER TOOL ----------
-      if (toolName === 'determine_route') {
-        if (!ROUTER_ENDPOINT) {
-          console.error('[Tool] ROUTER_ENDPOINT not configured')
-          return
-        }
+    const idx = pendingMarks.indexOf(name)
+    if (idx === -1) return
+    pendingMarks = pendingMarks.slice(idx + 1)
 
-        const resp = await axios.post(ROUTER_ENDPOINT, {
-          ...args,
-          call_sid: callSid,
-          current_agent: currentAgent,
-        })
+    const sep = name.lastIndexOf(':')
+    const itemId = name.slice(0, sep)
+    const playedMs = Number(name.slice(sep + 1))
+    if (itemId === lastAssistantItemId && Number.isFinite(playedMs)) {
+      assistantAudioPlayedMs = playedMs
+    }
 
-        const output = resp.data || {}
+    maybeExecuteTransfer()
+    maybeHangUp()
+  }
 
-        openaiWs.send(
-          JSON.stringify({
-            type: 'conversation.item.create',
-            item: {
-              type: 'function_call_output',
-              call_id: callId,
-              output: JSON.stringify(output),
-            },
-          })
-        )
+  function handleBargeIn() {
+    if (!responseActive && !pendingMarks.length) return
 
-        if (output.intent === 'items') {
-          await handleHandoff({
-            handoff_from: 'router',
-            intent: 'items',
-            question_type: output.question_type || 'specific',
-            question: output.cleaned_question || null,
-          })
-        } else if (output.intent === 'pickup') {
-          await handleHandoff({
-            handoff_from: 'router',
-            intent: 'pickup',
-            question_type: output.question_type || 'specific',
-            question: output.cleaned_question || null,
-          })
-        }
+    console.log(
+      '[BargeIn] Caller interrupted',
+      currentAgent,
+      'item=',
+      lastAssistantItemId,
+      'played_ms=',
+      assistantAudioPlayedMs
+    )
 
-        return
-      }
+    if (responseActive) {
+      openaiWs.send(JSON.stringify({ type: 'response.cancel' }))
+    }
 
-      // ---------- ITEMS TOOL ----------
-      if (toolName === 'search_items') {
-        if (!ITEM_SEARCH_ENDPOINT) {
-          console.error('[Tool] ITEM_SEARCH_ENDPOINT not configured')
-          return
-        }
+    if (streamSid) {
+      twilioWs.send(JSON.stringify({ event: 'clear', streamSid }))
+      recorder?.clearAssistant()
+    }
 
-        const resp = await axios.post(ITEM_SEARCH_ENDPOINT, {
-          ...args,
-          call_sid: callSid,
+    if (lastAssistantItemId) {
+      openaiWs.send(
+        JSON.stringify({
+          type: 'conversation.item.truncate',
+          item_id: lastAssistantItemId,
+          content_index: 0,
+          audio_end_ms: assistantAudioPlayedMs,
         })
+      )
+    }
 
-        const output = resp.data || {}
+    pendingMarks = []
+    lastAssistantItemId = null
+    assistantAudioSentMs = 0
+    assistantAudioPlayedMs = 0
+  }
 
-        openaiWs.send(
-          JSON.stringify({
-            type: 'conversation.item.create',
-            item: {
-              type: 'function_call_output',
-              call_id: callId,
-              output: JSON.stringify(output),
-            },
-          })
-        )
+  // -------------------------------------------------------------------------
+  // 3c. LANGUAGE (kept across every handoff)
+  // -------------------------------------------------------------------------
 
-        openaiWs.send(JSON.stringify({ type: 'response.create' }))
-        return
-      }
+  function agentVoice(agent) {
+    return voiceFor(currentLanguage, agent?.session.voice)
+  }
 
-      // ---------- PICKUP TOOL ----------
-      if (toolName === 'search_pickup_locations') {
-        if (!PICKUP_ENDPOINT) {
-          console.error('[Tool] PICKUP_ENDPOINT not configured')
-          return
-        }
+  function sessionInstructions(agent) {
+    const version = promptVersions.get(agent.slug) || null
+    const instructions = `${agentInstructions(agent, currentLanguage, version)}\n\n${keypadMenuHint(agents)}`
+    // The router decides about transfers, so it gets the office status
+    return agent.slug === ENTRY_AGENT ? `${instructions}\n\n${scheduleNote}` : instructions
+  }
 
-        const resp = await axios.post(PICKUP_ENDPOINT, {
-          ...args,
-          call_sid: callSid,
-        })
+  // Fixed for the whole call, so an A/B split compares whole calls
+  function assignCallPromptVersions() {
+    promptVersions = assignPromptVersions({ callSid, callerNumber })
+    if (!promptVersions.size) return
 
-        const output = resp.data || {}
+    const assigned = Object.fromEntries(
+      [...promptVersions].map(([slug, v]) => [slug, v.version])
+    )
+    console.log('[PromptVersions]', callSid, assigned)
+    callLog.updateCall({ prompt_versions: assigned })
 
-        openaiWs.send(
-          JSON.stringify({
-            type: 'conversation.item.create',
-            item: {
-              type: 'function_call_output',
-              call_id: callId,
-              output: JSON.stringify(output),
-            },
-          })
+    // The entry agent's session.update may already have gone out
+    if (openaiReady && promptVersions.has(currentAgent)) {
+      openaiWs.send(
+        JSON.stringify(
+          realtime.sessionUpdate({ instructions: sessionInstructions(agents.getAgent(currentAgent)) })
         )
+      )
+    }
+  }
+
+  function setLanguage(code, source) {
+    languageSource = source
+    if (code === currentLanguage) return
+
+    currentLanguage = code
+    console.log('[Language]', callSid, code, 'via', source)
+    callLog.updateCall({ language: code, language_source: source })
+
+    if (openaiWs.readyState !== WebSocket.OPEN) return
+
+    // The Realtime API rejects a voice change once audio has been produced
+    const session = { instructions: sessionInstructions(agents.getAgent(currentAgent)) }
+    if (!assistantAudioStarted) session.voice = agentVoice(agents.getAgent(currentAgent))
+
+    openaiWs.send(JSON.stringify(realtime.sessionUpdate(session)))
+  }
+
+  // -------------------------------------------------------------------------
+  // 4. HANDOFF DETECTOR (JSON handoffs via text, if ever used)
+// ---------------------------------------------------------------------------
+
+  function looksLikeHandoff(text) {
+    try {
+      const obj = JSON.parse(text)
+      return obj && obj.intent && obj.handoff_from
+    } catch {
+      return false
+    }
+  }
 
-        openaiWs.send(JSON.stringify({ type: 'response.create' }))
+  // -------------------------------------------------------------------------
+  // 5. TOOL CALL HANDLING
+// ---------------------------------------------------------------------------
+
+  function sendToolOutput(toolName, args, callId, output, startedAt) {
+    if (openaiWs.readyState !== WebSocket.OPEN) {
+      console.warn('[Tool] OpenAI socket closed; dropping output for', toolName, callId)
+      return
+    }
+
+    openaiWs.send(
+      JSON.stringify({
+        type: 'conversation.item.create',
+        item: {
+          type: 'function_call_output',
+          call_id: callId,
+          output: JSON.stringify(output),
+        },
+      })
+    )
+
+    recordTurn({
+      role: 'tool',
+      agent: currentAgent,
+      toolName,
+      toolArgs: args,
+      toolOutput: output,
+      latencyMs: Date.now() - startedAt,
+    })
+    toolLatency.observe({ tool: toolName }, (Date.now() - startedAt) / 1000)
+  }
+
+  async function handleToolCall(toolName, args, callId) {
+    const startedAt = Date.now()
+    try {
+      const tool = findTool(agents.getAgent(currentAgent), toolName)
+      if (!tool) {
+        console.warn('[Tool] Unknown toolName for agent', currentAgent, toolName)
+        sendToolError(toolName, args, callId, startedAt, {
+          code: 'unknown_tool',
+          message: `${toolName} is not available to the ${currentAgent} agent`,
+        })
         return
       }
 
-      // ---------- HANDOFF TO ROUTER TOOL ----------
-      if (toolName === 'handoff_to_router') {
+      // ---------- HANDOFF TOOLS ----------
+      if (tool.kind === 'handoff') {
         const cleanedQuestion =
           typeof args.question === 'string' ? args.question : null
 
         // Acknowledge the tool call (payload not used by the model)
-        openaiWs.send(
-          JSON.stringify({
-            type: 'conversation.item.create',
-            item: {
-              type: 'function_call_output',
-              call_id: callId,
-              output: JSON.stringify({ ok: true }),
-            },
-          })
-        )
+        sendToolOutput(toolName, args, callId, { ok: true }, startedAt)
 
         await handleHandoff({
           handoff_from: currentAgent,
-          intent: 'router',
+          intent: tool.target,
           question_type: 'specific',
           question: cleanedQuestion,
         })
@@ -536,196 +1391,687 @@ wss.on('connection', async (twilioWs, req) => {
         return
       }
 
-      console.warn('[Tool] Unknown toolName:', toolName)
+      // ---------- TRANSFER TO HUMAN ----------
+      if (tool.kind === 'transfer') {
+        startTransfer(toolName, args, callId, startedAt)
+        return
+      }
+
+      // ---------- CANNED ANSWERS ----------
+      if (tool.kind === 'answer') {
+        const key = typeof args.key === 'string' ? args.key : ''
+        const text = await speakAnswer(key, args.params || {}, {
+          callSid,
+          agent: currentAgent,
+          language: currentLanguage,
+        })
+
+        sendToolOutput(
+          toolName,
+          args,
+          callId,
+          { found: hasAnswerTemplate(key), text },
+          startedAt
+        )
+        createResponseWhenIdle()
+        return
+      }
+
+      // ---------- SMS SUMMARY ----------
+      if (tool.kind === 'sms') {
+        await sendSmsSummary(tool, toolName, args, callId, startedAt)
+        return
+      }
+
+      // ---------- CALLBACK REQUEST ----------
+      if (tool.kind === 'callback') {
+        await requestCallback(toolName, args, callId, startedAt)
+        return
+      }
+
+      // ---------- KEYPAD DIGITS ----------
+      if (tool.kind === 'digits') {
+        startDigitCollection(toolName, args, callId, startedAt)
+        return
+      }
+
+      // ---------- HTTP TOOLS ----------
+      // LOCAL_DATA_MODE=cache answers from the snapshot when it has matches
+      let output = cachedLocalAnswer(tool, args)
+
+      if (!output) {
+        const fillerTimer = setTimeout(
+          () => speakFiller(tool.filler || TOOL_FILLER_PHRASE),
+          TOOL_FILLER_DELAY_MS
+        )
+        try {
+          output = await invokeHttpTool(
+            tool,
+            endpointPayload(args, {
+              callSid,
+              current_agent: currentAgent,
+              language: currentLanguage,
+            })
+          )
+        } catch (err) {
+          output = fallbackLocalAnswer(tool, args, err)
+          if (!output) throw err
+          toolErrors.inc({ tool: toolName, code: err?.code || 'tool_failed' })
+          console.warn('[Tool]', toolName, 'failed with', err?.code || err, '– answered from local data')
+        } finally {
+          clearTimeout(fillerTimer)
+        }
+      }
+
+      sendToolOutput(toolName, args, callId, output, startedAt)
+      lastToolResults.set(toolName, output)
+
+      // Tools like determine_route answer with the intent to route to
+      const target = agents.resolveAgentSlug(output.intent)
+      if (target && target !== currentAgent && agents.canHandoff(currentAgent, target)) {
+        await handleHandoff({
+          handoff_from: currentAgent,
+          intent: target,
+          question_type: output.question_type || 'specific',
+          question: output.cleaned_question || null,
+        })
+        return
+      }
+
+      createResponseWhenIdle()
     } catch (err) {
-      console.error('[Tool] Error in handleToolCall', toolName, err)
+      console.error('[Tool] Error in handleToolCall', toolName, err?.code || '', err?.message || err)
+      sendToolError(toolName, args, callId, startedAt, {
+        code: err?.code || 'tool_failed',
+        message: err?.message || String(err),
+      })
     }
   }
 
+  // Every failed call still gets a function_call_output, so the model can
+  // apologize or offer a transfer instead of leaving the caller in silence.
+  function sendToolError(toolName, args, callId, startedAt, { code, message }) {
+    toolErrors.inc({ tool: toolName, code })
+    sendToolOutput(
+      toolName,
+      args,
+      callId,
+      {
+        ok: false,
+        error: code,
+        detail: message,
+        message:
+          'This lookup is not working right now. Apologize briefly, and offer to try again or to transfer the caller to a person.',
+      },
+      startedAt
+    )
+    if (openaiWs.readyState === WebSocket.OPEN) createResponseWhenIdle()
+  }
+
+  // Out-of-band response (kept out of the conversation) while a slow tool runs
+  function speakFiller(phrase) {
+    if (responseActive || responseRequested) return
+    if (openaiWs.readyState !== WebSocket.OPEN) return
+
+    sendResponseCreate({
+      response: {
+        conversation: 'none',
+        tool_choice: 'none',
+        metadata: { purpose: 'filler' },
+        instructions: `Say only this, word for word: "${phrase}"`,
+      },
+    })
+  }
+
+  // Sends response.create now, or queues it behind the response in flight
+  // (dropped while the socket isn't open: the greeting covers a keypad press
+  // that comes before it)
+  function createResponseWhenIdle(response = null) {
+    if (openaiWs.readyState !== WebSocket.OPEN) return
+    const payload = response ? { response } : {}
+    if (responseActive || responseRequested) {
+      // one plain follow-up answers every tool output before it
+      if (!response && queuedResponses.some((p) => !p.response)) return
+      queuedResponses.push(payload)
+      return
+    }
+    sendResponseCreate(payload)
+  }
+
+  function flushQueuedResponse() {
+    if (!queuedResponses.length || openaiWs.readyState !== WebSocket.OPEN) return
+    sendResponseCreate(queuedResponses.shift())
+  }
+
+  // Busy until response.created (or an error) arrives, so nothing else is
+  // sent over it in the meantime
+  function sendResponseCreate(payload) {
+    responseRequested = true
+    requestedResponseEventId = `evt_response_${++responseCreateCount}`
+    openaiWs.send(
+      JSON.stringify({ type: 'response.create', event_id: requestedResponseEventId, ...payload })
+    )
+  }
+
+  // -------------------------------------------------------------------------
+  // 5a. KEYPAD (menu shortcuts + collect_digits)
   // -------------------------------------------------------------------------
-  // 6. AGENT SWITCHING (router <-> items / pickup)
-// ---------------------------------------------------------------------------
 
-  async function handleHandoff(h) {
-    console.log('[Handoff]', h)
+  function handleDtmf(digit) {
+    if (!digit) return
+    console.log('[DTMF]', callSid, currentAgent, digit)
+    recordTurn({ role: 'dtmf', agent: currentAgent, text: digit })
 
-    // ----- Router -> Items -----
-    if (h.intent === 'items') {
-      currentAgent = 'items'
-      const itemsPrompt =
-        PROMPTS.items || 'You are the Chasdei Lev items agent.'
+    if (pendingTransfer) return
 
-      openaiWs.send(
-        JSON.stringify({
-          type: 'session.update',
-          session: {
-            instructions: itemsPrompt,
-            tools: [
-              {
-                type: 'function',
-                name: 'search_items',
-                description:
-                  'Search the Chasdei Lev items database and answer kashrus and package questions based ONLY on the provided data.',
-                parameters: {
-                  type: 'object',
-                  properties: {
-                    query: { type: 'string' },
-                  },
-                  required: ['query'],
-                },
-              },
-              {
-                type: 'function',
-                name: 'handoff_to_router',
-                description:
-                  'Return control to the router agent when the caller asks about something other than items.',
-                parameters: {
-                  type: 'object',
-                  properties: {
-                    question: {
-                      type: 'string',
-                      description:
-                        'The caller’s latest question, cleaned up but without changing the meaning.',
-                    },
-                  },
-                  required: ['question'],
-                },
-              },
-            ],
-          },
+    if (digitCollector) {
+      digitCollector.push(digit)
+      return
+    }
+
+    const entry = keypadMenu(agents).get(digit)
+    if (!entry) {
+      console.log('[DTMF] No menu entry for', digit)
+      return
+    }
+
+    // A menu press interrupts whatever the assistant is saying
+    handleBargeIn()
+
+    if (entry.type === 'language') {
+      setLanguage(entry.code, 'keypad')
+      createResponseWhenIdle({
+        instructions: `The caller chose ${languageName(entry.code)} on the keypad. From now on speak only ${languageName(entry.code)}. Briefly ask how you can help.`,
+      })
+      return
+    }
+
+    if (entry.type === 'transfer') {
+      const decision = beginTransfer({ reason: `caller pressed ${digit}` })
+      if (decision) {
+        speakHoldMessage(decision)
+      } else {
+        createResponseWhenIdle({
+          instructions:
+            'The caller pressed the key for a person, but transfers are not available right now. Apologize briefly and offer to keep helping.',
         })
-      )
+      }
+      return
+    }
 
-      if (h.question) {
-        openaiWs.send(
-          JSON.stringify({
-            type: 'conversation.item.create',
-            item: {
-              type: 'message',
-              role: 'user',
-              content: [{ type: 'input_text', text: h.question }],
-            },
-          })
+    handleHandoff({
+      handoff_from: currentAgent,
+      intent: entry.slug,
+      question_type: 'keypad',
+      question: `(The caller pressed ${digit} on the keypad to reach ${entry.slug}. Greet them briefly and ask how you can help.)`,
+    }).catch((err) => console.error('[DTMF] Handoff failed', callSid, err))
+  }
+
+  function startDigitCollection(toolName, args, callId, startedAt) {
+    // Only one collection at a time; a new request supersedes the old one
+    digitCollector?.cancel()
+
+    const purpose = typeof args.purpose === 'string' ? args.purpose : null
+    const maxDigits = Number.isInteger(args.max_digits) && args.max_digits > 0 ? args.max_digits : null
+
+    console.log('[DTMF] Collecting digits', callSid, purpose, 'max=', maxDigits)
+
+    const collector = createDigitCollector({
+      maxDigits,
+      onDone: (digits, terminatedBy) => {
+        if (digitCollector === collector) digitCollector = null
+        if (purpose === PHONE_DIGITS_PURPOSE) lastPhoneDigits = digits
+        console.log('[DTMF] Collected', callSid, purpose, digits.length, 'digits', terminatedBy)
+
+        sendToolOutput(
+          toolName,
+          args,
+          callId,
+          { purpose, digits, terminated_by: terminatedBy, source: 'keypad' },
+          startedAt
         )
+        createResponseWhenIdle()
+      },
+    })
+    digitCollector = collector
+  }
+
+  // -------------------------------------------------------------------------
+  // 5b. SMS SUMMARY (last search result -> caller's phone)
+  // -------------------------------------------------------------------------
 
-        openaiWs.send(JSON.stringify({ type: 'response.create' }))
+  async function sendSmsSummary(tool, toolName, args, callId, startedAt) {
+    const body = formatSmsSummary(tool.source, lastToolResults.get(tool.source))
+
+    let output
+    if (!callerNumber) {
+      output = { ok: false, error: 'no_caller_number', message: "The caller's number is not available." }
+    } else if (!body) {
+      output = {
+        ok: false,
+        error: 'nothing_to_send',
+        message: 'There is no lookup result to text yet. Look it up first.',
       }
+    } else {
+      const result = await sendSms(smsClient, {
+        callSid,
+        to: callerNumber,
+        body,
+        source: tool.source,
+      })
+      output =
+        result.status === 'sent'
+          ? { ok: true, sent_to_last_digits: callerNumber.slice(-4) }
+          : {
+              ok: false,
+              error: result.status,
+              message:
+                result.status === 'opted_out'
+                  ? 'This number has opted out of text messages. Read the details aloud instead.'
+                  : 'The text could not be sent. Apologize and read the details aloud instead.',
+            }
+    }
 
-      return
+    sendToolOutput(toolName, args, callId, output, startedAt)
+    createResponseWhenIdle()
+  }
+
+  // -------------------------------------------------------------------------
+  // 5c. CALLBACK REQUEST (caller ID or keypad number -> staff queue)
+  // -------------------------------------------------------------------------
+
+  // The number to call back, or a tool output telling the model what to do
+  function callbackPhone(args) {
+    if (args.phone_source === 'keypad') {
+      const phone = normalizePhone(lastPhoneDigits)
+      return phone
+        ? { phone }
+        : {
+            output: {
+              ok: false,
+              error: 'invalid_phone',
+              message:
+                "No valid phone number was typed. Ask the caller to type it again with collect_digits (purpose 'phone_number'), including the area code.",
+            },
+          }
     }
 
-    // ----- Router -> Pickup -----
-    if (h.intent === 'pickup') {
-      currentAgent = 'pickup'
-      const pickupPrompt =
-        PROMPTS.pickup || 'You are the Chasdei Lev pickup agent.'
+    if (!callerNumber) {
+      return {
+        output: {
+          ok: false,
+          error: 'no_caller_number',
+          message:
+            "The caller's number is not available. Ask them to type it with collect_digits (purpose 'phone_number'), then use phone_source 'keypad'.",
+        },
+      }
+    }
+    if (args.number_confirmed !== true) {
+      return {
+        output: {
+          ok: false,
+          error: 'confirm_number',
+          number_last_digits: callerNumber.slice(-4),
+          message:
+            "Ask the caller whether we should call them back on the number ending in these digits. If yes, call again with number_confirmed true; if not, have them type the number with collect_digits (purpose 'phone_number') and use phone_source 'keypad'.",
+        },
+      }
+    }
+    return { phone: callerNumber }
+  }
 
-      openaiWs.send(
-        JSON.stringify({
-          type: 'session.update',
-          session: {
-            instructions: pickupPrompt,
-            tools: [
-              {
-                type: 'function',
-                name: 'search_pickup_locations',
-                description:
-                  'Search the Chasdei Lev distribution locations database and answer pickup time/location questions based ONLY on the provided data.',
-                parameters: {
-                  type: 'object',
-                  properties: {
-                    location_query: { type: 'string' },
-                  },
-                  required: ['location_query'],
-                },
-              },
-              {
-                type: 'function',
-                name: 'handoff_to_router',
-                description:
-                  'Return control to the router agent when the caller asks about something other than pickup.',
-                parameters: {
-                  type: 'object',
-                  properties: {
-                    question: {
-                      type: 'string',
-                      description:
-                        'The caller’s latest question, cleaned up but without changing the meaning.',
-                    },
-                  },
-                  required: ['question'],
-                },
-              },
-            ],
-          },
-        })
+  async function requestCallback(toolName, args, callId, startedAt) {
+    const { phone, output: problem } = callbackPhone(args)
+
+    let output = problem
+    if (phone) {
+      const text = (v) => (typeof v === 'string' && v.trim() ? v.trim() : null)
+      const result = await createCallbackRequest({
+        callSid,
+        phone,
+        source: 'agent',
+        name: text(args.name),
+        topic: text(args.topic),
+        preferredWindow: text(args.preferred_window),
+        transcript: callLog.transcript(),
+      })
+
+      output =
+        result.status === 'failed'
+          ? {
+              ok: false,
+              error: 'not_saved',
+              message:
+                'The callback request could not be saved. Apologize and suggest calling back later or leaving a voicemail.',
+            }
+          : {
+              ok: true,
+              phone_last_digits: phone.slice(-4),
+              already_requested: result.status === 'duplicate',
+              message:
+                result.status === 'duplicate'
+                  ? 'This number already had a callback request; it was updated. Let the caller know the team will call them back.'
+                  : 'Let the caller know the team will call them back.',
+            }
+    }
+
+    sendToolOutput(toolName, args, callId, output, startedAt)
+    createResponseWhenIdle()
+  }
+
+  // -------------------------------------------------------------------------
+  // 5d. HUMAN TRANSFER (hold message, then Twilio call redirect)
+  // -------------------------------------------------------------------------
+
+  // Picks the target and arms the redirect; null if a transfer can't happen
+  function beginTransfer({ reason, preferVoicemail = false }) {
+    if (!callSid || !twilio.configured || pendingTransfer) return null
+
+    const decision = decideTransferTarget({ preferVoicemail })
+    console.log('[Transfer] Requested', callSid, currentAgent, decision.target, reason)
+
+    pendingTransfer = {
+      ...decision,
+      reason,
+      agent: currentAgent,
+      holdStarted: false,
+      timer: setTimeout(executeTransfer, TRANSFER_HOLD_TIMEOUT_MS),
+    }
+
+    callLog.updateCall({
+      transfer_target: decision.target,
+      transfer_reason: redactText(reason, 'tool_args'),
+      transfer_agent: currentAgent,
+      transfer_requested_at: new Date().toISOString(),
+    })
+
+    return decision
+  }
+
+  function speakHoldMessage(decision) {
+    createResponseWhenIdle({
+      instructions: `Tell the caller, briefly: "${decision.holdMessage}" Do not ask any questions.`,
+    })
+  }
+
+  function startTransfer(toolName, args, callId, startedAt) {
+    const decision = beginTransfer({
+      reason: typeof args.reason === 'string' ? args.reason : null,
+      preferVoicemail: args.prefer_voicemail === true,
+    })
+
+    if (!decision) {
+      sendToolOutput(
+        toolName,
+        args,
+        callId,
+        {
+          ok: false,
+          error: 'transfer_unavailable',
+          message:
+            'Transfers are not available right now. Apologize and keep helping the caller.',
+        },
+        startedAt
       )
+      createResponseWhenIdle()
+      return
+    }
 
-      if (h.question) {
-        openaiWs.send(
-          JSON.stringify({
-            type: 'conversation.item.create',
-            item: {
-              type: 'message',
-              role: 'user',
-              content: [{ type: 'input_text', text: h.question }],
-            },
-          })
-        )
+    sendToolOutput(
+      toolName,
+      args,
+      callId,
+      { ok: true, target: decision.target, say: decision.holdMessage },
+      startedAt
+    )
+    speakHoldMessage(decision)
+  }
 
-        openaiWs.send(JSON.stringify({ type: 'response.create' }))
+  function maybeExecuteTransfer() {
+    if (!pendingTransfer?.holdStarted) return
+    if (responseActive || pendingMarks.length) return
+    executeTransfer()
+  }
+
+  async function executeTransfer() {
+    const transfer = pendingTransfer
+    if (!transfer || transfer.executing) return
+    transfer.executing = true
+    clearTimeout(transfer.timer)
+
+    try {
+      await twilio.updateCall(callSid, { twiml: transfer.twiml, url: transfer.url })
+      transferred = true
+      console.log('[Transfer] Redirected call', callSid, 'to', transfer.target)
+    } catch (err) {
+      console.error('[Transfer] Failed to redirect call', callSid, err?.message || err)
+      pendingTransfer = null
+      callLog.updateCall({
+        transfer_target: null,
+        transfer_error: redactText(err?.message || String(err), 'tool_output'),
+      })
+
+      createResponseWhenIdle({
+        instructions:
+          'The transfer did not go through. Apologize briefly and offer to keep helping the caller.',
+      })
+    }
+  }
+
+  // -------------------------------------------------------------------------
+  // 5e. SHUTDOWN GOODBYE (SIGTERM deadline reached with the call still open)
+  // -------------------------------------------------------------------------
+
+  function hangUpWithGoodbye() {
+    if (pendingGoodbye) return
+
+    pendingGoodbye = { started: false, timer: setTimeout(hangUp, GOODBYE_TIMEOUT_MS) }
+
+    if (!twilioStarted || transferred || openaiWs.readyState !== WebSocket.OPEN) {
+      hangUp()
+      return
+    }
+
+    console.log('[Shutdown] Saying goodbye', callSid, currentAgent)
+    digitCollector?.cancel()
+    if (responseActive) openaiWs.send(JSON.stringify({ type: 'response.cancel' }))
+    // audio still buffered at Twilio would play before the goodbye
+    if (streamSid) {
+      twilioWs.send(JSON.stringify({ event: 'clear', streamSid }))
+      recorder?.clearAssistant()
+    }
+    pendingMarks = []
+    // nothing queued before it gets to play any more: the goodbye is next
+    queuedResponses.length = 0
+
+    createResponseWhenIdle({
+      tool_choice: 'none',
+      metadata: { purpose: 'goodbye' },
+      instructions: `Say this to the caller in ${languageName(currentLanguage)}, and nothing else: "${SHUTDOWN_GOODBYE}"`,
+    })
+  }
+
+  function maybeHangUp() {
+    if (!pendingGoodbye?.started) return
+    if (responseActive || pendingMarks.length) return
+    hangUp()
+  }
+
+  // After the goodbye has played (or GOODBYE_TIMEOUT_MS), so its turn is
+  // in the log
+  function hangUp() {
+    clearTimeout(pendingGoodbye?.timer)
+    console.log('[Shutdown] Closing call', callSid)
+    callLog.end('shutdown')
+    try {
+      twilioWs.close()
+    } catch {}
+    try {
+      openaiWs.close()
+    } catch {}
+  }
+
+  // Runs after the call log is flushed, off the call's critical path
+  function analyzeAfterCall(flushed) {
+    if (!analysis) {
+      const facts = {
+        callSid,
+        turns: callLog.turns(),
+        entryAgent: ENTRY_AGENT,
+        transferred,
+        endReason: callLog.endReason,
+        startedAt: callStartedAt,
+        endedAt: Date.now(),
+        promptVersions: Object.fromEntries([...promptVersions].map(([slug, v]) => [slug, v.version])),
       }
+      analysis = flushed.then(() => recordCallAnalysis(facts))
+    }
+    return analysis
+  }
 
+  // -------------------------------------------------------------------------
+  // 5f. SUPERVISION (live view + whisper / handoff / transfer, supervisor.js)
+  // -------------------------------------------------------------------------
+
+  // Every persisted turn is also what supervisors see
+  function recordTurn(turn) {
+    callLog.addTurn(turn)
+    supervision.emit('event', { type: 'turn', callSid, ...turn })
+  }
+
+  function publishAudio(track, payload) {
+    if (!supervision.listenerCount('audio')) return
+    supervision.emit('audio', { type: 'audio', callSid, track, payload })
+  }
+
+  function info() {
+    return {
+      callSid,
+      from: callerNumber,
+      agent: currentAgent,
+      language: currentLanguage,
+      promptVersions: Object.fromEntries([...promptVersions].map(([slug, v]) => [slug, v.version])),
+      startedAt: callStartedAt && new Date(callStartedAt).toISOString(),
+      transfer: pendingTransfer?.target || null,
+    }
+  }
+
+  // Returns the unsubscribe function
+  function subscribe(listener, { audio = false } = {}) {
+    supervision.on('event', listener)
+    if (audio) supervision.on('audio', listener)
+    return () => {
+      supervision.off('event', listener)
+      supervision.off('audio', listener)
+    }
+  }
+
+  // The handle's actions return null on success, otherwise why they failed
+
+  function whisper(text) {
+    if (typeof text !== 'string' || !text.trim()) return 'text is required'
+    if (openaiWs.readyState !== WebSocket.OPEN) return 'session closed'
+
+    openaiWs.send(
+      JSON.stringify({
+        type: 'conversation.item.create',
+        item: {
+          type: 'message',
+          role: 'system',
+          content: [
+            {
+              type: 'input_text',
+              text: `Supervisor instruction (never read this aloud or mention it): ${text.trim()}`,
+            },
+          ],
+        },
+      })
+    )
+    recordTurn({ role: 'whisper', agent: currentAgent, text: text.trim() })
+    return null
+  }
+
+  function forceHandoff(slug) {
+    if (!agents.getAgent(slug)) return 'unknown agent'
+    if (slug === currentAgent) return 'already with that agent'
+    if (openaiWs.readyState !== WebSocket.OPEN) return 'session closed'
+
+    handleHandoff({
+      handoff_from: currentAgent,
+      intent: slug,
+      question_type: 'specific',
+      question: null,
+    }).catch((err) => console.error('[Supervisor] Handoff failed', callSid, err))
+    return null
+  }
+
+  function forceTransfer({ reason, preferVoicemail = false }) {
+    if (transferred) return 'already transferred'
+    const decision = beginTransfer({ reason, preferVoicemail })
+    if (!decision) return 'transfer unavailable'
+    speakHoldMessage(decision)
+    return null
+  }
+
+  // -------------------------------------------------------------------------
+  // 6. AGENT SWITCHING (any agent -> any agent in cl_phone_agents)
+// ---------------------------------------------------------------------------
+
+  async function handleHandoff(h) {
+    console.log('[Handoff]', h)
+    const fromAgent = currentAgent
+
+    const slug = agents.resolveAgentSlug(h.intent)
+    const agent = agents.getAgent(slug)
+    if (!agent) {
+      console.warn('[Handoff] Unknown intent:', h.intent)
+      return
+    }
+
+    currentAgent = agent.slug
+    handoffs.inc({ from: fromAgent, to: currentAgent })
+    recordTurn({
+      role: 'handoff',
+      agent: currentAgent,
+      fromAgent,
+      text: h.question || null,
+    })
+
+    if (agent.session.model && agent.session.model !== sessionModel) {
+      console.warn(
+        `[Handoff] ${agent.slug} wants model ${agent.session.model}; the session keeps its own`
+      )
+    }
+
+    const session = {
+      instructions: sessionInstructions(agent),
+      tools: agents.sessionTools(agent),
+      ...sessionSettings(agent),
+    }
+    // Still connecting: the opening session.update starts with this agent
+    if (openaiWs.readyState !== WebSocket.OPEN) {
+      console.log('[Handoff] Realtime not open yet;', agent.slug, 'takes the session when it opens')
       return
     }
 
-    // ----- Any agent -> Router -----
-    if (h.intent === 'router') {
-      currentAgent = 'router'
-      const routerPrompt =
-        PROMPTS.router || 'You are the Chasdei Lev router agent.'
+    // The Realtime API rejects a voice change once audio has been produced
+    if (!assistantAudioStarted) session.voice = agentVoice(agent)
 
+    openaiWs.send(JSON.stringify(realtime.sessionUpdate(session)))
+
+    if (h.question) {
       openaiWs.send(
         JSON.stringify({
-          type: 'session.update',
-          session: {
-            instructions: routerPrompt,
-            tools: [
-              {
-                type: 'function',
-                name: 'determine_route',
-                description:
-                  'Classify caller intent for Chasdei Lev phone calls and decide which agent should handle it.',
-                parameters: {
-                  type: 'object',
-                  properties: {
-                    message: { type: 'string' },
-                    ai_classification: { type: 'string' },
-                  },
-                  required: ['message', 'ai_classification'],
-                },
-              },
-            ],
+          type: 'conversation.item.create',
+          item: {
+            type: 'message',
+            role: 'user',
+            content: [{ type: 'input_text', text: h.question }],
           },
         })
       )
 
-      if (h.question) {
-        openaiWs.send(
-          JSON.stringify({
-            type: 'conversation.item.create',
-            item: {
-              type: 'message',
-              role: 'user',
-              content: [{ type: 'input_text', text: h.question }],
-            },
-          })
-        )
-
-        openaiWs.send(JSON.stringify({ type: 'response.create' }))
-      }
-
-      return
+      createResponseWhenIdle()
     }
   }
 })
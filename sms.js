@@ -0,0 +1,153 @@
+import { supabase } from './supabaseClient.js'
+import { createTwilioClient } from './twilioClient.js'
+import { redactText } from './redaction.js'
+
+// ---------------------------------------------------------------------------
+// SMS summaries ("text me that")
+//
+//   SMS_PROVIDER            'twilio' (default) or 'log' (prints instead of
+//                           sending; for local runs)
+//   SMS_FROM_NUMBER         sender number, or
+//   SMS_MESSAGING_SERVICE_SID
+//
+// Numbers in sms_opt_outs (phone) are never texted. Every attempt, sent or
+// not, is written to cl_phone_sms_log with the callSid; to_number and body
+// go through the tool_output redaction rules first.
+// ---------------------------------------------------------------------------
+
+const MAX_SMS_LENGTH = 320 // two segments
+
+export function createSmsClient(provider = process.env.SMS_PROVIDER || 'twilio') {
+  if (provider === 'log') {
+    return {
+      provider,
+      configured: true,
+      async send({ to, body }) {
+        console.log('[SMS][log]', to, body)
+        return { sid: null }
+      },
+    }
+  }
+
+  const twilio = createTwilioClient()
+  const from = process.env.SMS_FROM_NUMBER || null
+  const messagingServiceSid = process.env.SMS_MESSAGING_SERVICE_SID || null
+
+  return {
+    provider,
+    configured: twilio.configured && Boolean(from || messagingServiceSid),
+    async send({ to, body }) {
+      const data = await twilio.sendMessage({ to, from, messagingServiceSid, body })
+      return { sid: data?.sid || null }
+    },
+  }
+}
+
+export async function isOptedOut(phone) {
+  const { data, error } = await supabase
+    .from('sms_opt_outs')
+    .select('phone')
+    .eq('phone', phone)
+    .limit(1)
+
+  if (error) {
+    // Fail closed: better to not text than to text someone who opted out
+    console.error('[SMS] Opt-out lookup failed:', error)
+    return true
+  }
+  return Boolean(data?.length)
+}
+
+async function logSms(row) {
+  try {
+    const { error } = await supabase
+      .from('cl_phone_sms_log')
+      .insert({
+        ...row,
+        to_number: redactText(row.to_number, 'tool_output'),
+        body: redactText(row.body, 'tool_output'),
+        created_at: new Date().toISOString(),
+      })
+    if (error) console.error('[SMS] Failed to log message:', error)
+  } catch (e) {
+    console.error('[SMS] Unexpected error logging message:', e)
+  }
+}
+
+// Returns { status: 'sent' | 'opted_out' | 'failed', sid?, error? }
+export async function sendSms(client, { callSid, to, body, source }) {
+  const base = { call_sid: callSid, to_number: to, body, source, provider: client.provider }
+
+  if (await isOptedOut(to)) {
+    console.log('[SMS] Caller opted out; not sending', callSid)
+    await logSms({ ...base, status: 'opted_out' })
+    return { status: 'opted_out' }
+  }
+
+  try {
+    const { sid } = await client.send({ to, body })
+    await logSms({ ...base, status: 'sent', provider_sid: sid })
+    return { status: 'sent', sid }
+  } catch (err) {
+    const error = err?.response?.data?.message || err?.message || String(err)
+    console.error('[SMS] Send failed', callSid, error)
+    await logSms({ ...base, status: 'failed', error })
+    return { status: 'failed', error }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Formatting tool results into a short text
+// ---------------------------------------------------------------------------
+
+function firstArray(output) {
+  if (Array.isArray(output)) return output
+  for (const key of ['locations', 'items', 'results', 'matches', 'data']) {
+    if (Array.isArray(output?.[key])) return output[key]
+  }
+  return []
+}
+
+function pick(obj, ...keys) {
+  for (const k of keys) {
+    if (obj?.[k] != null && obj[k] !== '') return String(obj[k])
+  }
+  return null
+}
+
+function formatPickupLine(loc) {
+  const name = pick(loc, 'location_name', 'name', 'title')
+  const address = [pick(loc, 'address', 'street'), pick(loc, 'city', 'town'), pick(loc, 'zip')]
+    .filter(Boolean)
+    .join(', ')
+  const times = [pick(loc, 'start_time'), pick(loc, 'end_time')].filter(Boolean).join('-')
+  const when =
+    pick(loc, 'time_window', 'pickup_window', 'hours') ||
+    [pick(loc, 'pickup_date', 'date'), times].filter(Boolean).join(' ')
+
+  return [name, address, when].filter(Boolean).join(' - ')
+}
+
+function formatItemLine(item) {
+  const name = pick(item, 'product_name', 'name', 'title')
+  const brand = pick(item, 'brand')
+  const hechsher = pick(item, 'hechsher', 'kashrus', 'certification')
+  return [brand && name ? `${brand} ${name}` : name || brand, hechsher && `(${hechsher})`]
+    .filter(Boolean)
+    .join(' ')
+}
+
+// source: the tool whose last output is being texted
+export function formatSmsSummary(source, output) {
+  const header =
+    source === 'search_pickup_locations' ? 'Chasdei Lev pickup info' : 'Chasdei Lev item info'
+  const formatLine = source === 'search_pickup_locations' ? formatPickupLine : formatItemLine
+
+  const lines = firstArray(output).slice(0, 3).map(formatLine).filter(Boolean)
+  const summary = pick(output, 'summary', 'answer', 'message')
+
+  const body = [header, ...(lines.length ? lines : summary ? [summary] : [])].join('\n')
+  if (body === header) return null
+
+  return body.length > MAX_SMS_LENGTH ? `${body.slice(0, MAX_SMS_LENGTH - 1)}…` : body
+}
@@ -1,4 +1,5 @@
 import { createClient } from '@supabase/supabase-js'
+import WebSocket from 'ws'
 
 const supabaseUrl = process.env.SUPABASE_URL
 const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY
@@ -9,4 +10,20 @@ if (!supabaseUrl || !supabaseServiceKey) {
 
 export const supabase = createClient(supabaseUrl, supabaseServiceKey, {
   auth: { persistSession: false },
+  // Node < 22 has no global WebSocket for supabase-js realtime
+  realtime: { transport: WebSocket },
 })
+
+// Cheap round trip for readiness checks; resolves to null or an error message
+export async function pingSupabase(timeoutMs = 2000) {
+  try {
+    const { error } = await supabase
+      .from('cl_phone_agents')
+      .select('slug')
+      .limit(1)
+      .abortSignal(AbortSignal.timeout(timeoutMs))
+    return error ? error.message || String(error) : null
+  } catch (e) {
+    return e?.message || String(e)
+  }
+}
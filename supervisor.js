@@ -0,0 +1,141 @@
+import { safeEqual } from './twilioAuth.js'
+
+// ---------------------------------------------------------------------------
+// Supervisor WebSocket (/supervisor)
+//
+//   SUPERVISOR_TOKEN   required; sent as `Authorization: Bearer <token>` or
+//                      ?token=<token> (browsers can't set WS headers).
+//                      Without it the endpoint is closed.
+//
+// Client -> gateway (JSON):
+//   { type: 'list' }
+//   { type: 'subscribe', callSid, audio?: true }   live turns (+ audio)
+//   { type: 'unsubscribe', callSid }
+//   { type: 'whisper', callSid, text }             hidden instruction
+//   { type: 'handoff', callSid, agent }            force an agent switch
+//   { type: 'transfer', callSid, reason?, prefer_voicemail? }
+//
+// Gateway -> client:
+//   { type: 'calls', calls }                       on connect and on 'list'
+//   { type: 'call_started' | 'call_ended', call }  to every supervisor
+//   { type: 'turn', callSid, role, agent, ... }    caller / assistant speech,
+//                                                  handoffs, tool results
+//   { type: 'audio', callSid, track, payload }     base64 8kHz μ-law
+//   { type: 'ack', action, callSid } | { type: 'error', action, message }
+// ---------------------------------------------------------------------------
+
+// null when the upgrade request carries the supervisor token, else a reason
+export function checkSupervisorToken(req, query = {}) {
+  const expected = process.env.SUPERVISOR_TOKEN
+  if (!expected) return 'supervisor endpoint disabled'
+
+  const header = req.headers['authorization'] || ''
+  const token = header.startsWith('Bearer ') ? header.slice(7) : query.token
+  if (!token) return 'missing token'
+  return safeEqual(token, expected) ? null : 'bad token'
+}
+
+// listCalls(): live call handles; a handle exposes `info()`, `subscribe()`,
+// `whisper()`, `forceHandoff()` and `forceTransfer()` (see server.js)
+export function createSupervisorHub({ listCalls }) {
+  const supervisors = new Set()
+
+  const findCall = (callSid) => listCalls().find((c) => c.callSid === callSid) || null
+
+  function send(ws, msg) {
+    if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(msg))
+  }
+
+  function announce(type, call) {
+    for (const ws of supervisors) send(ws, { type, call: call.info() })
+  }
+
+  function handleConnection(ws) {
+    supervisors.add(ws)
+    // callSid -> unsubscribe()
+    const subscriptions = new Map()
+
+    console.log('[Supervisor] Connected;', supervisors.size, 'watching')
+    send(ws, { type: 'calls', calls: listCalls().map((c) => c.info()) })
+
+    function unsubscribe(callSid) {
+      subscriptions.get(callSid)?.()
+      subscriptions.delete(callSid)
+    }
+
+    function handle(msg) {
+      if (msg.type === 'list') {
+        return send(ws, { type: 'calls', calls: listCalls().map((c) => c.info()) })
+      }
+
+      if (msg.type === 'unsubscribe') {
+        unsubscribe(msg.callSid)
+        return send(ws, { type: 'ack', action: msg.type, callSid: msg.callSid })
+      }
+
+      const call = findCall(msg.callSid)
+      if (!call) {
+        return send(ws, { type: 'error', action: msg.type, message: 'unknown callSid' })
+      }
+
+      let problem = null
+      switch (msg.type) {
+        case 'subscribe':
+          unsubscribe(call.callSid)
+          subscriptions.set(
+            call.callSid,
+            call.subscribe((event) => send(ws, event), { audio: msg.audio === true })
+          )
+          break
+        case 'whisper':
+          problem = call.whisper(msg.text)
+          break
+        case 'handoff':
+          problem = call.forceHandoff(msg.agent)
+          break
+        case 'transfer':
+          problem = call.forceTransfer({
+            reason: msg.reason || 'supervisor',
+            preferVoicemail: msg.prefer_voicemail === true,
+          })
+          break
+        default:
+          problem = 'unknown message type'
+      }
+
+      if (problem) return send(ws, { type: 'error', action: msg.type, message: problem })
+      console.log('[Supervisor]', msg.type, call.callSid)
+      send(ws, { type: 'ack', action: msg.type, callSid: call.callSid })
+    }
+
+    ws.on('message', (raw) => {
+      let msg
+      try {
+        msg = JSON.parse(raw.toString())
+      } catch {
+        return send(ws, { type: 'error', message: 'invalid JSON' })
+      }
+      if (!msg || typeof msg !== 'object' || Array.isArray(msg)) {
+        return send(ws, { type: 'error', message: 'expected a JSON object' })
+      }
+
+      // A failing action must not take the other calls down with it
+      try {
+        handle(msg)
+      } catch (err) {
+        console.error('[Supervisor] Failed to handle', msg.type, msg.callSid, err)
+        send(ws, { type: 'error', action: msg.type, message: 'internal error' })
+      }
+    })
+
+    ws.on('close', () => {
+      for (const callSid of [...subscriptions.keys()]) unsubscribe(callSid)
+      supervisors.delete(ws)
+      console.log('[Supervisor] Disconnected;', supervisors.size, 'watching')
+    })
+
+    ws.on('error', (err) => console.error('[Supervisor] WS Error:', err))
+  }
+
+  return { handleConnection, announce }
+}
@@ -0,0 +1,130 @@
+import axios from 'axios'
+import { resolveToolEndpoint } from './agents.js'
+
+// ---------------------------------------------------------------------------
+// HTTP tool calls with timeouts, bounded retries and a circuit breaker per
+// endpoint. Defaults can be overridden per tool (timeout_ms, retries) or
+// globally:
+//   TOOL_TIMEOUT_MS             per attempt (default 8000)
+//   TOOL_RETRIES                extra attempts on timeout / 5xx / network
+//                               errors (default 1)
+//   CIRCUIT_FAILURE_THRESHOLD   consecutive failed calls (timeout / 5xx /
+//                               network, after retries) that open the
+//                               circuit (default 5)
+//   CIRCUIT_COOLDOWN_MS         how long it stays open (default 30000)
+// ---------------------------------------------------------------------------
+
+export class ToolCallError extends Error {
+  // code: 'not_configured' | 'timeout' | 'http_error' | 'network_error' | 'circuit_open'
+  constructor(code, message, { cause, status } = {}) {
+    super(message, { cause })
+    this.name = 'ToolCallError'
+    this.code = code
+    this.status = status ?? null
+  }
+}
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name])
+  return Number.isFinite(n) && n >= 0 ? n : fallback
+}
+
+// endpoint -> { failures, openedUntil, probing }
+const circuits = new Map()
+
+function circuitFor(endpoint) {
+  if (!circuits.has(endpoint)) {
+    circuits.set(endpoint, { failures: 0, openedUntil: 0, probing: false })
+  }
+  return circuits.get(endpoint)
+}
+
+// Open circuits reject immediately; once the cooldown passes a single
+// probe request is let through (half-open).
+function acquire(endpoint) {
+  const circuit = circuitFor(endpoint)
+  if (!circuit.openedUntil) return true
+  if (Date.now() < circuit.openedUntil || circuit.probing) return false
+  circuit.probing = true
+  return true
+}
+
+function recordSuccess(endpoint) {
+  const circuit = circuitFor(endpoint)
+  if (circuit.openedUntil) console.log('[Circuit] Closed for', endpoint)
+  circuit.failures = 0
+  circuit.openedUntil = 0
+  circuit.probing = false
+}
+
+function recordFailure(endpoint) {
+  const circuit = circuitFor(endpoint)
+  circuit.failures += 1
+  circuit.probing = false
+
+  if (circuit.openedUntil || circuit.failures >= envNumber('CIRCUIT_FAILURE_THRESHOLD', 5)) {
+    circuit.openedUntil = Date.now() + envNumber('CIRCUIT_COOLDOWN_MS', 30000)
+    console.warn('[Circuit] Open for', endpoint, 'after', circuit.failures, 'failures')
+  }
+}
+
+function toToolError(err, timeoutMs) {
+  if (err instanceof ToolCallError) return err
+  if (err.code === 'ECONNABORTED' || err.code === 'ETIMEDOUT') {
+    return new ToolCallError('timeout', `timed out after ${timeoutMs}ms`, { cause: err })
+  }
+  if (err.response) {
+    return new ToolCallError('http_error', `HTTP ${err.response.status}`, {
+      cause: err,
+      status: err.response.status,
+    })
+  }
+  return new ToolCallError('network_error', err.message, { cause: err })
+}
+
+function isRetryable(err) {
+  return (
+    err.code === 'timeout' ||
+    err.code === 'network_error' ||
+    (err.code === 'http_error' && err.status >= 500)
+  )
+}
+
+export async function invokeHttpTool(tool, payload) {
+  const endpoint = resolveToolEndpoint(tool)
+  if (!endpoint) {
+    throw new ToolCallError('not_configured', `No endpoint configured for tool ${tool.name}`)
+  }
+
+  const timeoutMs = tool.timeout_ms ?? envNumber('TOOL_TIMEOUT_MS', 8000)
+  const retries = tool.retries ?? envNumber('TOOL_RETRIES', 1)
+
+  if (!acquire(endpoint)) {
+    throw new ToolCallError('circuit_open', `Circuit open for ${tool.name}`)
+  }
+
+  // The breaker counts calls, not attempts: one failure per call that ran
+  // out of retries. A 4xx is the endpoint answering (a bad query), so it
+  // doesn't count against it.
+  let lastError = null
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    try {
+      const resp = await axios.post(endpoint, payload, { timeout: timeoutMs })
+      recordSuccess(endpoint)
+      return resp.data || {}
+    } catch (e) {
+      lastError = toToolError(e, timeoutMs)
+      console.warn(
+        `[Tool] ${tool.name} attempt ${attempt + 1}/${retries + 1} failed:`,
+        lastError.code,
+        lastError.message
+      )
+      if (!isRetryable(lastError)) break
+      if (attempt < retries) await new Promise((r) => setTimeout(r, 250 * (attempt + 1)))
+    }
+  }
+
+  if (isRetryable(lastError)) recordFailure(endpoint)
+  else recordSuccess(endpoint)
+  throw lastError
+}
@@ -0,0 +1,100 @@
+import { supabase } from './supabaseClient.js'
+import { escapeXml } from './twilioClient.js'
+import { publicUrl } from './twilioAuth.js'
+import { officeStatus } from './schedule.js'
+
+// ---------------------------------------------------------------------------
+// Human transfer / voicemail rules
+//
+//   TRANSFER_STAFF_NUMBER        number to <Dial> when staff are available
+//   TRANSFER_QUEUE_NAME          or a Twilio queue to <Enqueue> into instead
+//   TRANSFER_VOICEMAIL_TWIML_URL TwiML URL for voicemail; a built-in
+//                                <Say>/<Record> is used when unset
+//
+// <Dial> / <Enqueue> report back to POST /twilio/transfer-status, which
+// sends the caller to voicemail only if nobody picked up (afterDialTwiml).
+// The built-in <Record> reports to POST /twilio/voicemail-done, which saves
+// the recording on the call's cl_phone_calls row and hangs up.
+//
+// Staff are offered while the office schedule (schedule.js) says the office
+// is open: within cl_phone_hours (or TRANSFER_HOURS) and outside closures.
+// ---------------------------------------------------------------------------
+
+const VOICEMAIL_PROMPT =
+  'Nobody is available to take your call right now. Please leave your name, number and a short message after the tone, and we will get back to you.'
+
+export function staffAvailable(now = new Date()) {
+  return officeStatus(now).open
+}
+
+function voicemailTwiml() {
+  return (
+    `<Say>${escapeXml(VOICEMAIL_PROMPT)}</Say>` +
+    `<Record maxLength="120" playBeep="true" action="${escapeXml(publicUrl('/twilio/voicemail-done'))}" />`
+  )
+}
+
+// Full voicemail response (TRANSFER_VOICEMAIL_TWIML_URL or the built-in one)
+export function voicemailResponseTwiml() {
+  const url = process.env.TRANSFER_VOICEMAIL_TWIML_URL
+  return url
+    ? `<Response><Redirect method="POST">${escapeXml(url)}</Redirect></Response>`
+    : `<Response>${voicemailTwiml()}</Response>`
+}
+
+// Decides where the caller goes. Returns
+//   { target: 'staff' | 'queue' | 'voicemail', twiml?, url?, holdMessage }
+export function decideTransferTarget({ preferVoicemail = false, now = new Date() } = {}) {
+  const { TRANSFER_STAFF_NUMBER, TRANSFER_QUEUE_NAME, TRANSFER_VOICEMAIL_TWIML_URL } =
+    process.env
+
+  const hasStaffTarget = Boolean(TRANSFER_STAFF_NUMBER || TRANSFER_QUEUE_NAME)
+
+  if (!preferVoicemail && hasStaffTarget && staffAvailable(now)) {
+    const action = escapeXml(publicUrl('/twilio/transfer-status'))
+    const connect = TRANSFER_STAFF_NUMBER
+      ? `<Dial timeout="25" action="${action}">${escapeXml(TRANSFER_STAFF_NUMBER)}</Dial>`
+      : `<Enqueue action="${action}">${escapeXml(TRANSFER_QUEUE_NAME)}</Enqueue>`
+
+    return {
+      target: TRANSFER_STAFF_NUMBER ? 'staff' : 'queue',
+      twiml: `<Response>${connect}</Response>`,
+      holdMessage: 'Please hold while I connect you to someone from our team.',
+    }
+  }
+
+  return {
+    target: 'voicemail',
+    ...(TRANSFER_VOICEMAIL_TWIML_URL
+      ? { url: TRANSFER_VOICEMAIL_TWIML_URL }
+      : { twiml: `<Response>${voicemailTwiml()}</Response>` }),
+    holdMessage:
+      'Nobody is available right now, so I will connect you to our voicemail. Please hold.',
+  }
+}
+
+// Twilio runs a <Dial> / <Enqueue> action whether or not anyone answered:
+// hang up after a conversation, voicemail otherwise
+export function afterDialTwiml({ DialCallStatus, QueueResult } = {}) {
+  const connected = DialCallStatus === 'completed' || QueueResult === 'bridged'
+  return connected ? '<Response><Hangup /></Response>' : voicemailResponseTwiml()
+}
+
+// <Record> action: the message, keyed by call. Never throws; the caller is
+// hung up whether or not this saved.
+export async function saveVoicemail({ CallSid, RecordingUrl, RecordingDuration }) {
+  if (!CallSid || !RecordingUrl) return
+  try {
+    const { error } = await supabase.from('cl_phone_calls').upsert(
+      {
+        call_sid: CallSid,
+        voicemail_url: RecordingUrl,
+        voicemail_seconds: Number(RecordingDuration) || null,
+      },
+      { onConflict: 'call_sid' }
+    )
+    if (error) console.error('[Transfer] Failed to save voicemail', CallSid, error)
+  } catch (e) {
+    console.error('[Transfer] Unexpected error saving voicemail', CallSid, e)
+  }
+}
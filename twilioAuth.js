@@ -0,0 +1,89 @@
+import crypto from 'crypto'
+
+// ---------------------------------------------------------------------------
+// Twilio request authentication
+//
+//   TWILIO_AUTH_TOKEN        signs X-Twilio-Signature on webhooks and on the
+//                            media stream WebSocket upgrade
+//   PUBLIC_BASE_URL          https://host as Twilio sees it (behind proxies
+//                            req.headers.host / protocol can't be trusted)
+//   STREAM_TOKEN_SECRET      HMAC key for the per-call stream token passed as
+//                            <Parameter name="token"> in the TwiML
+//   STREAM_TOKEN_TTL_SECONDS how long that token is valid (default 60)
+//   TWILIO_AUTH_DISABLED     'true' to skip all checks (local dev only)
+// ---------------------------------------------------------------------------
+
+export function twilioAuthDisabled() {
+  return process.env.TWILIO_AUTH_DISABLED === 'true'
+}
+
+// Full URL Twilio used for the request, e.g. wss://host/twilio-stream
+export function publicUrl(path, { websocket = false } = {}) {
+  const base = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '')
+  const url = `${base}${path}`
+  return websocket ? url.replace(/^http/, 'ws') : url
+}
+
+// Constant-time string compare (also used for the supervisor token)
+export function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a))
+  const bufB = Buffer.from(String(b))
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB)
+}
+
+// Twilio's scheme: HMAC-SHA1 over the URL followed by each POST param
+// (sorted by name) as name+value, base64 encoded.
+export function computeTwilioSignature(authToken, url, params = {}) {
+  const data = Object.keys(params)
+    .sort()
+    .reduce((acc, key) => acc + key + params[key], url)
+
+  return crypto.createHmac('sha1', authToken).update(data).digest('base64')
+}
+
+// Returns null when valid, otherwise the rejection reason.
+export function checkTwilioSignature({ url, params = {}, signature }) {
+  const authToken = process.env.TWILIO_AUTH_TOKEN
+  if (!authToken) return 'TWILIO_AUTH_TOKEN not configured'
+  if (!process.env.PUBLIC_BASE_URL) return 'PUBLIC_BASE_URL not configured'
+  if (!signature) return 'missing X-Twilio-Signature'
+
+  const expected = computeTwilioSignature(authToken, url, params)
+  return safeEqual(expected, signature) ? null : 'invalid X-Twilio-Signature'
+}
+
+// ---------------------------------------------------------------------------
+// Stream token: <callSid>.<expiresAtEpochSeconds>.<hmac>
+// ---------------------------------------------------------------------------
+
+function signStreamPayload(secret, payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url')
+}
+
+export function createStreamToken(callSid, now = Date.now()) {
+  const secret = process.env.STREAM_TOKEN_SECRET
+  if (!secret) throw new Error('STREAM_TOKEN_SECRET not configured')
+
+  const ttl = Number(process.env.STREAM_TOKEN_TTL_SECONDS) || 60
+  const payload = `${callSid}.${Math.floor(now / 1000) + ttl}`
+  return `${payload}.${signStreamPayload(secret, payload)}`
+}
+
+// Returns null when valid, otherwise the rejection reason.
+export function checkStreamToken(token, callSid, now = Date.now()) {
+  const secret = process.env.STREAM_TOKEN_SECRET
+  if (!secret) return 'STREAM_TOKEN_SECRET not configured'
+  if (!token) return 'missing stream token'
+
+  const parts = String(token).split('.')
+  if (parts.length !== 3) return 'malformed stream token'
+
+  const [tokenCallSid, expiresAt, signature] = parts
+  if (!safeEqual(signStreamPayload(secret, `${tokenCallSid}.${expiresAt}`), signature)) {
+    return 'invalid stream token signature'
+  }
+  if (tokenCallSid !== callSid) return 'stream token issued for another call'
+  if (Number(expiresAt) * 1000 < now) return 'stream token expired'
+
+  return null
+}
@@ -0,0 +1,61 @@
+import axios from 'axios'
+
+// Minimal Twilio REST client. Only what the gateway needs (call redirects,
+// SMS), and the base URL is configurable (TWILIO_API_BASE_URL) so tests can
+// point it at a local stub.
+
+export function createTwilioClient({
+  accountSid = process.env.TWILIO_ACCOUNT_SID,
+  authToken = process.env.TWILIO_AUTH_TOKEN,
+  baseUrl = process.env.TWILIO_API_BASE_URL || 'https://api.twilio.com',
+} = {}) {
+  const configured = Boolean(accountSid && authToken)
+
+  async function post(path, params) {
+    if (!configured) {
+      throw new Error('Twilio client not configured (TWILIO_ACCOUNT_SID / TWILIO_AUTH_TOKEN)')
+    }
+
+    const body = new URLSearchParams()
+    for (const [k, v] of Object.entries(params)) {
+      if (v != null) body.append(k, String(v))
+    }
+
+    const resp = await axios.post(
+      `${baseUrl}/2010-04-01/Accounts/${accountSid}${path}`,
+      body.toString(),
+      {
+        auth: { username: accountSid, password: authToken },
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: 10000,
+      }
+    )
+    return resp.data
+  }
+
+  // Redirect a live call to new TwiML (inline `twiml` or a `url` to fetch).
+  async function updateCall(callSid, { twiml = null, url = null } = {}) {
+    return post(`/Calls/${callSid}.json`, { Twiml: twiml, Url: url })
+  }
+
+  // Send an SMS from a number (or Messaging Service) on the account.
+  async function sendMessage({ to, from = null, messagingServiceSid = null, body }) {
+    return post('/Messages.json', {
+      To: to,
+      From: from,
+      MessagingServiceSid: messagingServiceSid,
+      Body: body,
+    })
+  }
+
+  return { configured, updateCall, sendMessage }
+}
+
+export function escapeXml(value) {
+  return String(value)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&apos;')
+}